@@ -7,6 +7,13 @@
 import resolve from '@rollup/plugin-node-resolve';
 import commonjs from '@rollup/plugin-commonjs';
 
+// Node.js-only modules stay as lazy require() calls where they are used, and
+// the layers that need them only run when their factory requires them
+const nodeOnly = {
+  ignore: ['fs', 'path', 'zlib', 'crypto'],
+  strictRequires: ['src/core/filesystem.js', 'src/core/wal.js']
+};
+
 export default [
   {
     input: 'src/main.js',
@@ -15,10 +22,10 @@ export default [
       format: 'cjs',
       sourcemap: true
     },
-    external: ['lz-string', '@msgpack/msgpack'],
+    external: ['lz-string', '@msgpack/msgpack', 'fs', 'path', 'zlib'],
     plugins: [
       resolve(),
-      commonjs()
+      commonjs(nodeOnly)
     ]
   },
   {
@@ -28,13 +35,25 @@ export default [
       format: 'cjs',
       sourcemap: true
     },
-    external: ['lz-string', '@msgpack/msgpack'],
+    external: ['lz-string', '@msgpack/msgpack', 'fs', 'path', 'zlib'],
     plugins: [
       resolve(),
-      commonjs(),
+      commonjs(nodeOnly),
       // Add minification plugin if needed, but for simplicity, skip
     ]
   },
+  {
+    input: 'src/conformance.js',
+    output: {
+      file: 'dist/conformance.cjs',
+      format: 'cjs',
+      sourcemap: true
+    },
+    plugins: [
+      resolve(),
+      commonjs()
+    ]
+  },
   {
     input: 'src/cli.js',
     output: {
@@ -42,10 +61,10 @@ export default [
       format: 'cjs',
       sourcemap: true
     },
-    external: ['lz-string', '@msgpack/msgpack', 'fs', 'path'],
+    external: ['lz-string', '@msgpack/msgpack', 'fs', 'path', 'zlib'],
     plugins: [
       resolve(),
-      commonjs()
+      commonjs(nodeOnly)
     ]
   }
 ];
\ No newline at end of file
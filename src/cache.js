@@ -0,0 +1,143 @@
+/**
+ * Read Cache
+ * Created by Ramkrishna Bhatt V, Milagres PU College, Kallianpur, Udupi
+ * License: MIT
+ *
+ * Decoded values kept in memory in front of the storage layer. An entry is
+ * fresh for `ttl` milliseconds after it was cached, then served stale for
+ * another `staleWhileRevalidate` milliseconds while it is refreshed in the
+ * background. Entries are never served after the expiry of their record.
+ *
+ * The least recently used entries are dropped once the cache holds more than
+ * `maxEntries` values or `maxBytes` bytes. Sizes are the UTF-16 bytes of the
+ * encoded value and are only computed when `maxBytes` is set.
+ */
+
+const codec = require('./codec');
+
+const valueSize = (value) => {
+  try {
+    return JSON.stringify(codec.encode(value)).length * 2;
+  } catch (error) {
+    return 0;
+  }
+};
+
+class ReadCache {
+  constructor(options = {}) {
+    this.ttl = options.ttl !== undefined ? options.ttl : 300000;
+    this.staleWhileRevalidate = options.staleWhileRevalidate || 0;
+    this.maxEntries = options.maxEntries || Infinity;
+    this.maxBytes = options.maxBytes || Infinity;
+
+    // key -> { value, timestamp, expires, size }, least recently used first
+    this.entries = new Map();
+    // key -> pending refresh of a stale entry
+    this.refreshing = new Map();
+    this.bytes = 0;
+    this.hits = 0;
+    this.misses = 0;
+    this.staleHits = 0;
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  // `{ value, stale }` for a cached value that may be served, null otherwise
+  lookup(key, now = Date.now()) {
+    const entry = this.entries.get(key);
+    const age = entry ? now - entry.timestamp : Infinity;
+    if (!entry || age >= this.ttl + this.staleWhileRevalidate ||
+        (entry.expires && now > entry.expires)) {
+      if (entry) this.delete(key);
+      this.misses++;
+      return null;
+    }
+
+    // Move to the most recently used end
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    this.hits++;
+    const stale = age >= this.ttl;
+    if (stale) this.staleHits++;
+    return { value: entry.value, stale };
+  }
+
+  // The cached entry without counting a lookup
+  peek(key) {
+    return this.entries.get(key) || null;
+  }
+
+  has(key) {
+    return this.entries.has(key);
+  }
+
+  // `expires` is the record's expiry in milliseconds, or null
+  set(key, value, expires = null) {
+    if (this.ttl <= 0) return;
+    this.delete(key);
+    const size = isFinite(this.maxBytes) ? valueSize(value) : 0;
+    if (size > this.maxBytes) return;
+
+    this.entries.set(key, { value, timestamp: Date.now(), expires, size });
+    this.bytes += size;
+    for (const oldest of this.entries.keys()) {
+      if (this.entries.size <= this.maxEntries && this.bytes <= this.maxBytes) break;
+      this.delete(oldest);
+    }
+  }
+
+  delete(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return false;
+    this.entries.delete(key);
+    this.bytes -= entry.size;
+    return true;
+  }
+
+  clear() {
+    this.entries.clear();
+    this.bytes = 0;
+  }
+
+  // Drops `keyOrPrefix` and every key starting with it; everything when no
+  // argument is given. Returns the number of entries dropped.
+  invalidate(keyOrPrefix) {
+    if (keyOrPrefix === undefined) {
+      const dropped = this.entries.size;
+      this.clear();
+      return dropped;
+    }
+    let dropped = 0;
+    for (const key of Array.from(this.entries.keys())) {
+      if (String(key).startsWith(keyOrPrefix) && this.delete(key)) dropped++;
+    }
+    return dropped;
+  }
+
+  // Runs `load` to refresh a stale entry, once per key at a time
+  revalidate(key, load) {
+    if (!this.refreshing.has(key)) {
+      const refresh = Promise.resolve()
+        .then(load)
+        .finally(() => this.refreshing.delete(key));
+      this.refreshing.set(key, refresh);
+    }
+    return this.refreshing.get(key);
+  }
+
+  stats() {
+    const lookups = this.hits + this.misses;
+    return {
+      hits: this.hits,
+      misses: this.misses,
+      staleHits: this.staleHits,
+      hitRate: lookups ? this.hits / lookups : 0,
+      entries: this.entries.size,
+      bytes: this.bytes
+    };
+  }
+}
+
+module.exports = { ReadCache };
@@ -0,0 +1,275 @@
+/**
+ * Structured Type Codec
+ * Created by Ramkrishna Bhatt V, Milagres PU College, Kallianpur, Udupi
+ * License: MIT
+ *
+ * Converts values into plain JSON-compatible trees before they reach a
+ * serializer, and back. Types JSON cannot represent are written as tagged
+ * objects, e.g. { __type: 'Map', value: [[key, value], ...] }, at any depth.
+ *
+ * Every object is numbered in the order it is first visited; later visits of
+ * the same object are written as { __type: 'Ref', id }, which keeps shared
+ * and circular references intact. The decoder numbers objects in the same
+ * order, so ids are never stored on the objects themselves.
+ */
+
+// Type checks use the toString tag so values from other realms (iframes,
+// workers, vm contexts) are recognized too
+const tagOf = (value) => Object.prototype.toString.call(value).slice(8, -1);
+
+const TYPED_ARRAYS = [
+  'Int8Array', 'Uint8Array', 'Uint8ClampedArray', 'Int16Array', 'Uint16Array',
+  'Int32Array', 'Uint32Array', 'Float32Array', 'Float64Array', 'BigInt64Array',
+  'BigUint64Array', 'DataView'
+].filter(name => typeof globalThis[name] === 'function');
+
+// Registered types: name -> { is, encode, decode }
+const CustomTypes = new Map();
+
+function toBase64(bytes) {
+  if (typeof Buffer !== 'undefined') {
+    return Buffer.from(bytes.buffer, bytes.byteOffset, bytes.byteLength).toString('base64');
+  }
+  let binary = '';
+  for (let i = 0; i < bytes.length; i++) binary += String.fromCharCode(bytes[i]);
+  return btoa(binary);
+}
+
+function fromBase64(text) {
+  if (typeof Buffer !== 'undefined') {
+    return new Uint8Array(Buffer.from(text, 'base64'));
+  }
+  return Uint8Array.from(atob(text), c => c.charCodeAt(0));
+}
+
+// Binary payloads are ArrayBuffers or views on one
+function isBinary(value) {
+  return tagOf(value) === 'ArrayBuffer' || (ArrayBuffer.isView(value) && TYPED_ARRAYS.includes(tagOf(value)));
+}
+
+function toBytes(value) {
+  return tagOf(value) === 'ArrayBuffer' ?
+    new Uint8Array(value) : new Uint8Array(value.buffer, value.byteOffset, value.byteLength);
+}
+
+// Copies the viewed range, so the result never exposes a larger buffer
+function toArrayBuffer(value) {
+  const bytes = toBytes(value);
+  return bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength);
+}
+
+// One char per byte, for handing binary data to text-only compressors
+function bytesToText(bytes) {
+  let text = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    text += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return text;
+}
+
+function textToBytes(text) {
+  const bytes = new Uint8Array(text.length);
+  for (let i = 0; i < text.length; i++) bytes[i] = text.charCodeAt(i);
+  return bytes;
+}
+
+// JSON.stringify/parse helpers for layers that store records as text: binary
+// values are written as { __lsaBinary: base64 } and read back as ArrayBuffers
+function binaryReplacer(key, value) {
+  return isBinary(value) ? { __lsaBinary: toBase64(toBytes(value)) } : value;
+}
+
+function binaryReviver(key, value) {
+  return value && typeof value === 'object' && typeof value.__lsaBinary === 'string' ?
+    toArrayBuffer(fromBase64(value.__lsaBinary)) : value;
+}
+
+// Parses a record a layer stored as text. Text that is not a JSON object
+// throws an error with code 'CORRUPT_RECORD' and the text as `raw`, so
+// damaged entries are reported instead of being read as missing.
+function parseRecord(text) {
+  let record;
+  try {
+    record = JSON.parse(text, binaryReviver);
+  } catch (e) {
+    record = undefined;
+  }
+  if (typeof record !== 'object' || record === null) {
+    const error = new Error('Stored record is not valid JSON');
+    error.code = 'CORRUPT_RECORD';
+    error.raw = text;
+    throw error;
+  }
+  return record;
+}
+
+// The version of a record replacing `previous`: one more than its version,
+// or 1 for a new key. Records written before versions were kept count as 1.
+function nextVersion(previous) {
+  return previous ? (previous.version || 1) + 1 : 1;
+}
+
+// A registered class can be passed directly; its instances are stored as
+// their own enumerable properties and revived on the class prototype.
+function registerType(name, definition) {
+  if (typeof definition === 'function') {
+    const Class = definition;
+    definition = {
+      is: (value) => value instanceof Class,
+      encode: (value) => ({ ...value }),
+      decode: (data) => Object.assign(Object.create(Class.prototype), data)
+    };
+  }
+  if (!definition || typeof definition.is !== 'function' ||
+      typeof definition.encode !== 'function' || typeof definition.decode !== 'function') {
+    throw new TypeError(`Type ${name} must be a class or provide is(), encode() and decode()`);
+  }
+  CustomTypes.set(name, definition);
+}
+
+function encode(value, seen = new Map()) {
+  if (value === undefined) return { __type: 'Undefined' };
+  if (typeof value === 'bigint') return { __type: 'BigInt', value: value.toString() };
+  if (typeof value !== 'object' || value === null) return value;
+
+  if (seen.has(value)) return { __type: 'Ref', id: seen.get(value) };
+  seen.set(value, seen.size);
+
+  for (const [name, type] of CustomTypes) {
+    if (type.is(value)) return { __type: name, value: encode(type.encode(value), seen) };
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(item => encode(item, seen));
+  }
+  if (value instanceof Map) {
+    return { __type: 'Map', value: Array.from(value, ([k, v]) => [encode(k, seen), encode(v, seen)]) };
+  }
+  if (value instanceof Set) {
+    return { __type: 'Set', value: Array.from(value, item => encode(item, seen)) };
+  }
+  if (value instanceof Date) {
+    return { __type: 'Date', value: value.toISOString() };
+  }
+  if (value instanceof RegExp) {
+    return { __type: 'RegExp', source: value.source, flags: value.flags };
+  }
+  if (typeof URL !== 'undefined' && value instanceof URL) {
+    return { __type: 'URL', value: value.href };
+  }
+  if (value instanceof Error) {
+    return { __type: 'Error', name: value.name, message: value.message, stack: value.stack };
+  }
+  if (tagOf(value) === 'ArrayBuffer') {
+    return { __type: 'ArrayBuffer', value: toBase64(new Uint8Array(value)) };
+  }
+  if (TYPED_ARRAYS.includes(tagOf(value))) {
+    return { __type: tagOf(value), value: toBase64(new Uint8Array(value.buffer, value.byteOffset, value.byteLength)) };
+  }
+
+  const fields = {};
+  for (const key of Object.keys(value)) {
+    if (typeof value[key] !== 'function' && typeof value[key] !== 'symbol') {
+      fields[key] = encode(value[key], seen);
+    }
+  }
+  // Plain objects that happen to have a __type key are escaped
+  return '__type' in fields ? { __type: 'Object', value: fields } : fields;
+}
+
+function decodeError(node) {
+  const Type = typeof globalThis[node.name] === 'function' &&
+    globalThis[node.name].prototype instanceof Error ? globalThis[node.name] : Error;
+  const error = new Type(node.message);
+  error.name = node.name;
+  if (node.stack !== undefined) error.stack = node.stack;
+  return error;
+}
+
+function decode(node, refs = []) {
+  if (typeof node !== 'object' || node === null) return node;
+
+  if (Array.isArray(node)) {
+    const array = [];
+    refs.push(array);
+    node.forEach(item => array.push(decode(item, refs)));
+    return array;
+  }
+
+  const type = node.__type;
+  if (type === undefined) {
+    const object = {};
+    refs.push(object);
+    for (const key of Object.keys(node)) object[key] = decode(node[key], refs);
+    return object;
+  }
+
+  if (type === 'Undefined') return undefined;
+  if (type === 'BigInt') return BigInt(node.value);
+  if (type === 'Ref') return refs[node.id];
+
+  // Reserve the id before decoding children so references to this object resolve
+  const id = refs.length;
+  refs.push(undefined);
+  const result = decodeTagged(node, refs, id);
+  refs[id] = result;
+  return result;
+}
+
+function decodeTagged(node, refs, id) {
+  const custom = CustomTypes.get(node.__type);
+  if (custom) return custom.decode(decode(node.value, refs));
+
+  switch (node.__type) {
+    case 'Object': {
+      const object = refs[id] = {};
+      for (const key of Object.keys(node.value)) object[key] = decode(node.value[key], refs);
+      return object;
+    }
+    case 'Map': {
+      const map = refs[id] = new Map();
+      node.value.forEach(([k, v]) => map.set(decode(k, refs), decode(v, refs)));
+      return map;
+    }
+    case 'Set': {
+      const set = refs[id] = new Set();
+      node.value.forEach(item => set.add(decode(item, refs)));
+      return set;
+    }
+    case 'Date':
+      return new Date(node.value);
+    case 'RegExp':
+      return new RegExp(node.source, node.flags);
+    case 'URL':
+      return new URL(node.value);
+    case 'Error':
+      return decodeError(node);
+    case 'ArrayBuffer':
+      return fromBase64(node.value).buffer;
+    default:
+      if (TYPED_ARRAYS.includes(node.__type)) {
+        const bytes = fromBase64(node.value);
+        return new globalThis[node.__type](bytes.buffer, 0, node.__type === 'DataView' ?
+          bytes.byteLength : bytes.byteLength / globalThis[node.__type].BYTES_PER_ELEMENT);
+      }
+      // Unknown tags are left as plain objects
+      return node;
+  }
+}
+
+module.exports = {
+  encode,
+  decode,
+  registerType,
+  toBase64,
+  fromBase64,
+  isBinary,
+  toBytes,
+  toArrayBuffer,
+  bytesToText,
+  textToBytes,
+  binaryReplacer,
+  binaryReviver,
+  parseRecord,
+  nextVersion
+};
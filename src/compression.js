@@ -0,0 +1,59 @@
+/**
+ * Native Compression Engines
+ * Created by Ramkrishna Bhatt V, Milagres PU College, Kallianpur, Udupi
+ * License: MIT
+ *
+ * deflate, gzip and brotli engines backed by zlib in Node.js and by
+ * CompressionStream in browsers. Browsers have no brotli stream, so that
+ * engine is only available in Node.js.
+ */
+
+const isNode = () => typeof process !== 'undefined' && !!(process.versions && process.versions.node);
+
+const ZLIB_METHODS = {
+  deflate: ['deflate', 'inflate'],
+  gzip: ['gzip', 'gunzip'],
+  brotli: ['brotliCompress', 'brotliDecompress']
+};
+
+const STREAM_FORMATS = {
+  deflate: 'deflate',
+  gzip: 'gzip'
+};
+
+function toInput(data) {
+  return typeof data === 'string' ? new TextEncoder().encode(data) : data;
+}
+
+function runZlib(method, data) {
+  // Required lazily so browser bundles never load zlib
+  const zlib = require('zlib');
+  return new Promise((resolve, reject) => {
+    zlib[method](toInput(data), (error, result) => {
+      if (error) reject(error);
+      else resolve(new Uint8Array(result.buffer, result.byteOffset, result.byteLength));
+    });
+  });
+}
+
+async function runStream(stream, data) {
+  const response = new Response(new Blob([toInput(data)]).stream().pipeThrough(stream));
+  return new Uint8Array(await response.arrayBuffer());
+}
+
+function createNativeEngine(format) {
+  const [compressMethod, decompressMethod] = ZLIB_METHODS[format];
+  return {
+    binary: true,
+    available: () => isNode() ||
+      (!!STREAM_FORMATS[format] && typeof CompressionStream !== 'undefined'),
+    compress: (data) => isNode() ?
+      runZlib(compressMethod, data) :
+      runStream(new CompressionStream(STREAM_FORMATS[format]), data),
+    decompress: (data) => isNode() ?
+      runZlib(decompressMethod, data) :
+      runStream(new DecompressionStream(STREAM_FORMATS[format]), data)
+  };
+}
+
+module.exports = { createNativeEngine };
@@ -0,0 +1,216 @@
+/**
+ * Storage Layer Conformance Suite
+ * Created by Ramkrishna Bhatt V, Milagres PU College, Kallianpur, Udupi
+ * License: MIT
+ *
+ * Checks that a storage layer behaves like MemoryStorage for values, binary
+ * data, keys, TTL, export and import, and for getRecord()/putRecord(), record
+ * versions and commit() when the layer has them. Works with any runner that provides
+ * describe/test (Jest, Vitest, Mocha):
+ *
+ *   const { defineLayerConformanceTests } = require('@students-dev/local-storage-api/dist/conformance.cjs');
+ *   defineLayerConformanceTests('ElectronStore', (namespace) => new ElectronStoreLayer(namespace));
+ *
+ * TTL cases move the clock by replacing Date.now, so layers must read the
+ * time through Date.now.
+ */
+
+class ConformanceError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ConformanceError';
+  }
+}
+
+function isEqual(a, b) {
+  if (a === b) return true;
+  if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return false;
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+  const keysA = Object.keys(a);
+  const keysB = Object.keys(b);
+  return keysA.length === keysB.length && keysA.every(key => isEqual(a[key], b[key]));
+}
+
+function assertEqual(actual, expected, message) {
+  if (!isEqual(actual, expected)) {
+    throw new ConformanceError(`${message}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+  }
+}
+
+async function withClockOffset(offset, fn) {
+  const realNow = Date.now;
+  const start = realNow();
+  Date.now = () => start + offset;
+  try {
+    return await fn();
+  } finally {
+    Date.now = realNow;
+  }
+}
+
+function defineLayerConformanceTests(name, createLayer, options = {}) {
+  const describe = options.describe || globalThis.describe;
+  const test = options.test || globalThis.test || globalThis.it;
+  const namespace = options.namespace || 'conformance';
+  const layers = [];
+
+  const setup = async (ns = namespace) => {
+    const layer = await createLayer(ns);
+    layers.push(layer);
+    await layer.clear();
+    return layer;
+  };
+
+  const run = (title, fn) => test(title, async () => {
+    try {
+      await fn();
+    } finally {
+      while (layers.length) {
+        await layers.pop().clear();
+      }
+      if (options.teardown) await options.teardown();
+    }
+  });
+
+  describe(`${name} conformance`, () => {
+    run('reports support', async () => {
+      const layer = await setup();
+      assertEqual(layer.supports(), true, 'supports()');
+    });
+
+    run('stores and reads values', async () => {
+      const layer = await setup();
+      const value = { a: 1, nested: [1, 'two', { three: true }], text: 'ünïcödé' };
+      await layer.set('string', 'value');
+      await layer.set('object', value);
+
+      assertEqual(await layer.get('string'), 'value', 'get() of a string');
+      assertEqual(await layer.get('object'), value, 'get() of an object');
+      assertEqual(await layer.get('missing'), null, 'get() of a missing key');
+    });
+
+    run('stores binary values as ArrayBuffers', async () => {
+      const layer = await setup();
+      await layer.set('binary', { d: new Uint8Array([0, 127, 255]).buffer });
+
+      const value = await layer.get('binary');
+      assertEqual(Object.prototype.toString.call(value.d), '[object ArrayBuffer]', 'type of a binary value');
+      assertEqual(Array.from(new Uint8Array(value.d)), [0, 127, 255], 'bytes of a binary value');
+    });
+
+    run('overwrites and removes values', async () => {
+      const layer = await setup();
+      await layer.set('key', 'first');
+      await layer.set('key', 'second');
+      assertEqual(await layer.get('key'), 'second', 'get() after overwrite');
+
+      await layer.remove('key');
+      await layer.remove('missing');
+      assertEqual(await layer.get('key'), null, 'get() after remove()');
+      assertEqual(await layer.has('key'), false, 'has() after remove()');
+    });
+
+    run('lists keys and counts entries', async () => {
+      const layer = await setup();
+      await layer.set('a', 1);
+      await layer.set('b', 2);
+      await layer.set('a', 3);
+
+      assertEqual((await layer.keys()).sort(), ['a', 'b'], 'keys()');
+      assertEqual(await layer.size(), 2, 'size()');
+      assertEqual(await layer.has('a'), true, 'has() of a stored key');
+      assertEqual(await layer.has('c'), false, 'has() of a missing key');
+    });
+
+    run('clears all entries', async () => {
+      const layer = await setup();
+      await layer.set('a', 1);
+      await layer.set('b', 2);
+      await layer.clear();
+
+      assertEqual(await layer.keys(), [], 'keys() after clear()');
+      assertEqual(await layer.size(), 0, 'size() after clear()');
+    });
+
+    run('expires entries after their TTL', async () => {
+      const layer = await setup();
+      await layer.set('short', 'value', 1);
+      await layer.set('long', 'value', 60);
+      await layer.set('forever', 'value');
+
+      assertEqual(await layer.get('short'), 'value', 'get() before expiry');
+      await withClockOffset(2000, async () => {
+        assertEqual(await layer.get('short'), null, 'get() after expiry');
+        assertEqual(await layer.has('short'), false, 'has() after expiry');
+        assertEqual(await layer.size(), 2, 'size() after expiry');
+        assertEqual(await layer.exportAll(), { long: 'value', forever: 'value' }, 'exportAll() after expiry');
+      });
+    });
+
+    run('reads and writes whole records', async () => {
+      const layer = await setup();
+      if (typeof layer.getRecord !== 'function') return;
+
+      await layer.set('key', 'value', 60);
+      const record = await layer.getRecord('key');
+      assertEqual(record.value, 'value', 'getRecord() value');
+      assertEqual(typeof record.createdAt, 'number', 'getRecord() createdAt');
+      assertEqual(record.ttl > Date.now(), true, 'getRecord() ttl');
+
+      const copy = { ...record, value: 'copy', createdAt: 1, lifetime: 60, sliding: true };
+      await layer.putRecord('copy', copy);
+      assertEqual(await layer.getRecord('copy'), copy, 'getRecord() after putRecord()');
+      assertEqual(await layer.getRecord('missing'), null, 'getRecord() of a missing key');
+
+      await layer.putRecord('stale', { ...record, ttl: Date.now() - 1 });
+      assertEqual(await layer.get('stale'), null, 'get() of an expired record written with putRecord()');
+    });
+
+    run('increases the version on every write', async () => {
+      const layer = await setup();
+      if (typeof layer.getRecord !== 'function') return;
+
+      await layer.set('key', 1);
+      assertEqual((await layer.getRecord('key')).version, 1, 'version of a new key');
+      await layer.set('key', 2);
+      assertEqual((await layer.getRecord('key')).version, 2, 'version after set()');
+      await layer.importAll({ key: 3 });
+      assertEqual((await layer.getRecord('key')).version, 3, 'version after importAll()');
+    });
+
+    run('commits batches of writes', async () => {
+      const layer = await setup();
+      if (typeof layer.commit !== 'function') return;
+
+      await layer.set('old', 'value');
+      const record = { value: 'new', createdAt: 1, updatedAt: 1, version: 1, ttl: null };
+      await layer.commit([{ key: 'a', record }, { key: 'b', record }, { key: 'old', record: null }]);
+
+      assertEqual((await layer.keys()).sort(), ['a', 'b'], 'keys() after commit()');
+      assertEqual(await layer.getRecord('a'), record, 'getRecord() after commit()');
+    });
+
+    run('exports and imports entries', async () => {
+      const layer = await setup();
+      await layer.set('a', 1);
+      await layer.importAll({ b: { two: 2 }, c: 'three' });
+
+      assertEqual(await layer.exportAll(), { a: 1, b: { two: 2 }, c: 'three' }, 'exportAll() after importAll()');
+      assertEqual(await layer.get('b'), { two: 2 }, 'get() of an imported key');
+    });
+
+    run('isolates namespaces', async () => {
+      const layer = await setup();
+      const other = await setup(`${namespace}-other`);
+      await layer.set('key', 'mine');
+      await other.set('key', 'theirs');
+
+      assertEqual(await layer.get('key'), 'mine', 'get() in the first namespace');
+      assertEqual(await other.get('key'), 'theirs', 'get() in the second namespace');
+      await other.clear();
+      assertEqual(await layer.keys(), ['key'], 'keys() after clearing another namespace');
+    });
+  });
+}
+
+module.exports = { defineLayerConformanceTests, ConformanceError };
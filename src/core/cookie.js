@@ -0,0 +1,205 @@
+/**
+ * Cookie Storage Layer
+ * Created by Ramkrishna Bhatt V, Milagres PU College, Kallianpur, Udupi
+ * License: MIT
+ */
+
+const { binaryReplacer, parseRecord, nextVersion } = require('../codec');
+
+class CookieStorage {
+  constructor(namespace = '', options = {}) {
+    this.namespace = namespace;
+    this.prefix = `lsa_${this.namespace}_`;
+    this.chunkPrefix = `lsa_${this.namespace}~`;
+    this.path = options.path || '/';
+    this.domain = options.domain || null;
+    this.sameSite = options.sameSite || 'Lax';
+    // Browsers reject SameSite=None cookies that are not Secure
+    this.secure = options.secure !== undefined ? options.secure : this.sameSite.toLowerCase() === 'none';
+    this.chunkSize = options.chunkSize || 3800;
+    // Entries without a TTL expire after `maxAge` seconds (400 days, the
+    // longest browsers allow); with `maxAge: null` they are session cookies
+    this.maxAge = options.maxAge !== undefined ? options.maxAge : 400 * 24 * 60 * 60;
+  }
+
+  readCookies() {
+    const cookies = new Map();
+    if (!document.cookie) return cookies;
+    document.cookie.split('; ').forEach(pair => {
+      const index = pair.indexOf('=');
+      cookies.set(pair.slice(0, index), pair.slice(index + 1));
+    });
+    return cookies;
+  }
+
+  writeCookie(name, value, expires = null) {
+    let cookie = `${name}=${value}; path=${this.path}; SameSite=${this.sameSite}`;
+    if (this.domain) cookie += `; domain=${this.domain}`;
+    if (expires !== null) cookie += `; expires=${new Date(expires).toUTCString()}`;
+    if (this.secure) cookie += '; Secure';
+    document.cookie = cookie;
+  }
+
+  cookieName(key) {
+    return this.prefix + encodeURIComponent(key);
+  }
+
+  chunkName(key, index) {
+    return `${this.chunkPrefix}${index}_${encodeURIComponent(key)}`;
+  }
+
+  // The main cookie holds either the whole entry (`v:<data>`) or the number of
+  // chunk cookies the entry was split across (`c:<count>`).
+  chunkCount(cookies, key) {
+    const meta = cookies.get(this.cookieName(key));
+    return meta && meta.startsWith('c:') ? parseInt(meta.slice(2), 10) : 0;
+  }
+
+  async set(key, value, ttl = null) {
+    const data = {
+      value,
+      createdAt: Date.now(),
+      updatedAt: Date.now(),
+      version: nextVersion(this.storedRecord(key)),
+      ttl: ttl ? Date.now() + ttl * 1000 : null
+    };
+    await this.putRecord(key, data);
+  }
+
+  // Stores a record as is, keeping its metadata
+  async putRecord(key, data) {
+    const encoded = encodeURIComponent(JSON.stringify(data, binaryReplacer));
+    const previousChunks = this.chunkCount(this.readCookies(), key);
+    const expires = data.ttl || (this.maxAge ? Date.now() + this.maxAge * 1000 : null);
+
+    let chunks = 0;
+    if (encoded.length <= this.chunkSize) {
+      this.writeCookie(this.cookieName(key), `v:${encoded}`, expires);
+    } else {
+      for (let offset = 0; offset < encoded.length; offset += this.chunkSize) {
+        this.writeCookie(this.chunkName(key, chunks++), encoded.slice(offset, offset + this.chunkSize), expires);
+      }
+      this.writeCookie(this.cookieName(key), `c:${chunks}`, expires);
+    }
+
+    for (let i = chunks; i < previousChunks; i++) {
+      this.writeCookie(this.chunkName(key, i), '', 0);
+    }
+  }
+
+  // The stored record, also when expired; null when missing or corrupted
+  storedRecord(key) {
+    try {
+      return this.readRecord(key);
+    } catch (e) {
+      return null;
+    }
+  }
+
+  // The stored record, or null when it or one of its chunks is missing
+  readRecord(key) {
+    const cookies = this.readCookies();
+    const meta = cookies.get(this.cookieName(key));
+    if (!meta) return null;
+
+    let encoded = meta.slice(2);
+    if (meta.startsWith('c:')) {
+      const parts = [];
+      for (let i = 0; i < this.chunkCount(cookies, key); i++) {
+        const part = cookies.get(this.chunkName(key, i));
+        if (part === undefined) return null;
+        parts.push(part);
+      }
+      encoded = parts.join('');
+    }
+
+    let text = encoded;
+    try {
+      text = decodeURIComponent(encoded);
+    } catch (e) {
+      // Left encoded, so parseRecord() reports it as corrupted
+    }
+
+    return parseRecord(text);
+  }
+
+  // Full record with metadata, or null when missing or expired
+  async getRecord(key) {
+    const data = this.readRecord(key);
+    if (!data) return null;
+
+    if (data.ttl && Date.now() > data.ttl) {
+      this.remove(key);
+      return null;
+    }
+    return data;
+  }
+
+  async get(key) {
+    const record = await this.getRecord(key);
+    return record ? record.value : null;
+  }
+
+  async remove(key) {
+    const chunks = this.chunkCount(this.readCookies(), key);
+    for (let i = 0; i < chunks; i++) {
+      this.writeCookie(this.chunkName(key, i), '', 0);
+    }
+    this.writeCookie(this.cookieName(key), '', 0);
+  }
+
+  async clear() {
+    const keys = await this.keys();
+    for (const key of keys) {
+      await this.remove(key);
+    }
+  }
+
+  async keys() {
+    const keys = [];
+    for (const name of this.readCookies().keys()) {
+      if (name.startsWith(this.prefix)) {
+        keys.push(decodeURIComponent(name.slice(this.prefix.length)));
+      }
+    }
+    return keys;
+  }
+
+  async has(key) {
+    return (await this.get(key)) !== null;
+  }
+
+  async size() {
+    const data = await this.exportAll();
+    return Object.keys(data).length;
+  }
+
+  async exportAll() {
+    const data = {};
+    const keys = await this.keys();
+    for (const key of keys) {
+      const value = await this.get(key).catch(error => {
+        // Corrupted records cannot be exported; verify() reports them
+        if (error.code !== 'CORRUPT_RECORD') throw error;
+        return null;
+      });
+      if (value !== null) {
+        data[key] = value;
+      }
+    }
+    return data;
+  }
+
+  async importAll(data) {
+    for (const [key, value] of Object.entries(data)) {
+      await this.set(key, value);
+    }
+  }
+
+  supports() {
+    return typeof document !== 'undefined' && typeof document.cookie === 'string' &&
+      (typeof navigator === 'undefined' || navigator.cookieEnabled !== false);
+  }
+}
+
+module.exports = CookieStorage;
@@ -0,0 +1,35 @@
+/**
+ * Helpers for the file-based Node.js layers
+ * Created by Ramkrishna Bhatt V, Milagres PU College, Kallianpur, Udupi
+ * License: MIT
+ */
+
+// file path -> tail of its write queue
+const writeQueues = new Map();
+let tempFiles = 0;
+
+// Namespaces are URI-encoded, so separators and `..` cannot reach outside
+// the directory
+function fileName(namespace, extension) {
+  return `lsa_${encodeURIComponent(namespace || 'default')}.${extension}`;
+}
+
+// Writes to one file run one after another, across every layer instance in
+// the process
+function enqueueWrite(filePath, task) {
+  const run = (writeQueues.get(filePath) || Promise.resolve()).then(task);
+  const settled = run.catch(() => {});
+  writeQueues.set(filePath, settled);
+  settled.then(() => {
+    if (writeQueues.get(filePath) === settled) writeQueues.delete(filePath);
+  });
+  return run;
+}
+
+// A temp file next to `filePath` that no other write uses
+function tempPath(filePath) {
+  tempFiles++;
+  return `${filePath}.${process.pid}.${tempFiles}.tmp`;
+}
+
+module.exports = { fileName, enqueueWrite, tempPath };
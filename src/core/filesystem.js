@@ -0,0 +1,222 @@
+/**
+ * FileSystem Storage Layer (Node.js)
+ * Created by Ramkrishna Bhatt V, Milagres PU College, Kallianpur, Udupi
+ * License: MIT
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { binaryReplacer, binaryReviver, nextVersion } = require('../codec');
+const { fileName, enqueueWrite, tempPath } = require('./files');
+
+class FileSystemStorage {
+  constructor(namespace = '', options = {}) {
+    this.namespace = namespace;
+    this.directory = options.directory || path.join(process.cwd(), '.local-storage-api');
+    this.filePath = path.join(this.directory, fileName(namespace, 'json'));
+    this.data = null;
+    this.stamp = null;
+    this.ready = null;
+    this.writeQueue = Promise.resolve();
+  }
+
+  async init() {
+    this.stamp = await this.fileStamp();
+    this.data = await this.load();
+  }
+
+  async load() {
+    try {
+      const contents = await fs.promises.readFile(this.filePath, 'utf8');
+      return new Map(Object.entries(JSON.parse(contents, binaryReviver)));
+    } catch (e) {
+      if (e.code !== 'ENOENT') throw e;
+      return new Map();
+    }
+  }
+
+  // Size and modification time of the file, or null when it is missing.
+  // Taken before the file is read, so a write in between is noticed later.
+  async fileStamp() {
+    try {
+      const { size, mtimeMs } = await fs.promises.stat(this.filePath);
+      return `${size}:${mtimeMs}`;
+    } catch (e) {
+      if (e.code !== 'ENOENT') throw e;
+      return null;
+    }
+  }
+
+  async waitForReady() {
+    // Loaded lazily so that constructing the layer never touches the disk
+    if (!this.ready) this.ready = this.init();
+    await this.ready;
+  }
+
+  // Writes go to a temp file first and are renamed over the store, so a
+  // crash mid-write leaves the previous version intact. `change` edits a copy
+  // of the data inside the file's write queue, so it sees every earlier write,
+  // and the copy replaces the data only once it is written; a failed write
+  // leaves both as they were. `change` returns false when there is nothing to
+  // write. The file is read again first if another instance or process wrote
+  // it, so their writes are not overwritten with stale data.
+  persist(change) {
+    const write = enqueueWrite(this.filePath, async () => {
+      const stamp = await this.fileStamp();
+      if (stamp !== this.stamp) {
+        this.stamp = stamp;
+        this.data = await this.load();
+      }
+
+      const data = new Map(this.data);
+      if (change(data) === false) return;
+      const contents = JSON.stringify(Object.fromEntries(data), binaryReplacer);
+      await fs.promises.mkdir(this.directory, { recursive: true });
+      const temp = tempPath(this.filePath);
+      await fs.promises.writeFile(temp, contents);
+      await fs.promises.rename(temp, this.filePath);
+      this.data = data;
+      this.stamp = await this.fileStamp();
+    });
+    this.writeQueue = write.catch(() => {});
+    return write;
+  }
+
+  async set(key, value, ttl = null) {
+    await this.waitForReady();
+    await this.persist(data => {
+      data.set(key, {
+        value,
+        createdAt: Date.now(),
+        updatedAt: Date.now(),
+        version: nextVersion(data.get(key)),
+        ttl: ttl ? Date.now() + ttl * 1000 : null
+      });
+    });
+  }
+
+  // Full record with metadata, or null when missing or expired
+  async getRecord(key) {
+    await this.waitForReady();
+    const item = this.data.get(key);
+    if (!item) return null;
+
+    if (item.ttl && Date.now() > item.ttl) {
+      await this.remove(key);
+      return null;
+    }
+
+    return { ...item };
+  }
+
+  // Stores a record as is, keeping its metadata
+  async putRecord(key, record) {
+    await this.waitForReady();
+    await this.persist(data => {
+      data.set(key, { ...record });
+    });
+  }
+
+  // Applies `{ key, record }` writes, removing keys whose record is null,
+  // with a single file write
+  async commit(operations) {
+    await this.waitForReady();
+    await this.persist(data => {
+      for (const { key, record } of operations) {
+        if (record) data.set(key, { ...record });
+        else data.delete(key);
+      }
+    });
+  }
+
+  async get(key) {
+    const record = await this.getRecord(key);
+    return record ? record.value : null;
+  }
+
+  async remove(key) {
+    await this.waitForReady();
+    await this.persist(data => data.delete(key));
+  }
+
+  async clear() {
+    await this.waitForReady();
+    await this.persist(data => {
+      data.clear();
+    });
+  }
+
+  async keys() {
+    await this.waitForReady();
+    return Array.from(this.data.keys());
+  }
+
+  // Deletes up to `limit` expired records with a single write
+  async purgeExpired(limit = Infinity) {
+    await this.waitForReady();
+    let purged = [];
+    await this.persist(data => {
+      purged = [];
+      for (const [key, item] of data) {
+        if (purged.length >= limit) break;
+        if (item.ttl && Date.now() > item.ttl) {
+          data.delete(key);
+          purged.push(key);
+        }
+      }
+      return purged.length > 0;
+    });
+    return purged;
+  }
+
+  async has(key) {
+    return (await this.get(key)) !== null;
+  }
+
+  async size() {
+    await this.waitForReady();
+    await this.persist(data => {
+      let expired = false;
+      for (const [key, item] of data) {
+        if (item.ttl && Date.now() > item.ttl) {
+          data.delete(key);
+          expired = true;
+        }
+      }
+      return expired;
+    });
+    return this.data.size;
+  }
+
+  async exportAll() {
+    await this.waitForReady();
+    const data = {};
+    for (const [key, item] of this.data) {
+      if (!item.ttl || Date.now() <= item.ttl) {
+        data[key] = item.value;
+      }
+    }
+    return data;
+  }
+
+  async importAll(data) {
+    await this.waitForReady();
+    await this.persist(stored => {
+      for (const [key, value] of Object.entries(data)) {
+        stored.set(key, {
+          value,
+          createdAt: Date.now(),
+          updatedAt: Date.now(),
+          version: nextVersion(stored.get(key)),
+          ttl: null
+        });
+      }
+    });
+  }
+
+  supports() {
+    return typeof process !== 'undefined' && !!(process.versions && process.versions.node);
+  }
+}
+
+module.exports = FileSystemStorage;
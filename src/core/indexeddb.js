@@ -4,6 +4,8 @@
  * License: MIT
  */
 
+const { nextVersion } = require('../codec');
+
 class IndexedDBStorage {
   constructor(namespace = '') {
     this.namespace = namespace;
@@ -36,28 +38,32 @@ class IndexedDBStorage {
     await this.ready;
   }
 
+  // The previous record is read in the same transaction to continue its
+  // version
   async set(key, value, ttl = null) {
     await this.waitForReady();
-    const data = {
-      key,
-      value,
-      createdAt: Date.now(),
-      updatedAt: Date.now(),
-      version: 1,
-      ttl: ttl ? Date.now() + ttl * 1000 : null
-    };
-
     return new Promise((resolve, reject) => {
       const transaction = this.db.transaction(['storage'], 'readwrite');
       const store = transaction.objectStore('storage');
-      const request = store.put(data);
+      const request = store.get(key);
 
-      request.onsuccess = () => resolve();
-      request.onerror = () => reject(request.error);
+      request.onsuccess = () => {
+        store.put({
+          key,
+          value,
+          createdAt: Date.now(),
+          updatedAt: Date.now(),
+          version: nextVersion(request.result),
+          ttl: ttl ? Date.now() + ttl * 1000 : null
+        });
+      };
+      transaction.oncomplete = () => resolve();
+      transaction.onabort = () => reject(transaction.error || request.error);
     });
   }
 
-  async get(key) {
+  // Full record with metadata, or null when missing or expired
+  async getRecord(key) {
     await this.waitForReady();
     return new Promise((resolve, reject) => {
       const transaction = this.db.transaction(['storage'], 'readonly');
@@ -73,12 +79,57 @@ class IndexedDBStorage {
           return resolve(null);
         }
 
-        resolve(data.value);
+        delete data.key;
+        resolve(data);
       };
       request.onerror = () => reject(request.error);
     });
   }
 
+  // Stores a record as is, keeping its metadata. Resolves once the write is
+  // committed: a full disk aborts the transaction after the put succeeded.
+  async putRecord(key, record) {
+    await this.waitForReady();
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(['storage'], 'readwrite');
+      const store = transaction.objectStore('storage');
+      const request = store.put({ ...record, key });
+
+      transaction.oncomplete = () => resolve();
+      transaction.onabort = () => reject(transaction.error || request.error);
+    });
+  }
+
+  // Applies `{ key, record }` writes, removing keys whose record is null, in
+  // one readwrite transaction: all of them are committed or none. A put that
+  // throws (an uncloneable value) aborts the transaction, as the earlier
+  // requests would otherwise still commit.
+  async commit(operations) {
+    await this.waitForReady();
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(['storage'], 'readwrite');
+      const store = transaction.objectStore('storage');
+      transaction.oncomplete = () => resolve();
+      transaction.onabort = () => reject(transaction.error);
+
+      try {
+        operations.forEach(({ key, record }) => {
+          if (record) store.put({ ...record, key });
+          else store.delete(key);
+        });
+      } catch (error) {
+        transaction.onabort = null;
+        transaction.abort();
+        reject(error);
+      }
+    });
+  }
+
+  async get(key) {
+    const record = await this.getRecord(key);
+    return record ? record.value : null;
+  }
+
   async remove(key) {
     await this.waitForReady();
     return new Promise((resolve, reject) => {
@@ -115,14 +166,36 @@ class IndexedDBStorage {
     });
   }
 
+  // Deletes up to `limit` expired records in one transaction, found through
+  // the ttl index. Records without a TTL are not in the index.
+  async purgeExpired(limit = Infinity) {
+    await this.waitForReady();
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(['storage'], 'readwrite');
+      const index = transaction.objectStore('storage').index('ttl');
+      const request = index.openCursor(IDBKeyRange.upperBound(Date.now(), true));
+      const purged = [];
+
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor || purged.length >= limit) return;
+        purged.push(cursor.primaryKey);
+        cursor.delete();
+        cursor.continue();
+      };
+      transaction.oncomplete = () => resolve(purged);
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
   async has(key) {
     const value = await this.get(key);
     return value !== null;
   }
 
   async size() {
-    const keys = await this.keys();
-    return keys.length;
+    const data = await this.exportAll();
+    return Object.keys(data).length;
   }
 
   async exportAll() {
@@ -150,21 +223,24 @@ class IndexedDBStorage {
     const transaction = this.db.transaction(['storage'], 'readwrite');
     const store = transaction.objectStore('storage');
 
+    // Entries are read in the same transaction to continue their versions
     for (const [key, value] of Object.entries(data)) {
-      const item = {
-        key,
-        value,
-        createdAt: Date.now(),
-        updatedAt: Date.now(),
-        version: 1,
-        ttl: null
+      const request = store.get(key);
+      request.onsuccess = () => {
+        store.put({
+          key,
+          value,
+          createdAt: Date.now(),
+          updatedAt: Date.now(),
+          version: nextVersion(request.result),
+          ttl: null
+        });
       };
-      store.put(item);
     }
 
     return new Promise((resolve, reject) => {
       transaction.oncomplete = () => resolve();
-      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
     });
   }
 
@@ -4,6 +4,8 @@
  * License: MIT
  */
 
+const { nextVersion } = require('../codec');
+
 class MemoryStorage {
   constructor(namespace = '') {
     this.namespace = namespace;
@@ -15,13 +17,14 @@ class MemoryStorage {
       value,
       createdAt: Date.now(),
       updatedAt: Date.now(),
-      version: 1,
+      version: nextVersion(this.data.get(key)),
       ttl: ttl ? Date.now() + ttl * 1000 : null
     };
-    this.data.set(key, data);
+    await this.putRecord(key, data);
   }
 
-  async get(key) {
+  // Full record with metadata, or null when missing or expired
+  async getRecord(key) {
     const item = this.data.get(key);
     if (!item) return null;
 
@@ -30,7 +33,25 @@ class MemoryStorage {
       return null;
     }
 
-    return item.value;
+    return { ...item };
+  }
+
+  // Stores a record as is, keeping its metadata
+  async putRecord(key, record) {
+    this.data.set(key, { ...record });
+  }
+
+  // Applies `{ key, record }` writes, removing keys whose record is null
+  async commit(operations) {
+    for (const { key, record } of operations) {
+      if (record) this.data.set(key, { ...record });
+      else this.data.delete(key);
+    }
+  }
+
+  async get(key) {
+    const record = await this.getRecord(key);
+    return record ? record.value : null;
   }
 
   async remove(key) {
@@ -45,6 +66,19 @@ class MemoryStorage {
     return Array.from(this.data.keys());
   }
 
+  // Deletes up to `limit` expired records and returns their keys
+  async purgeExpired(limit = Infinity) {
+    const purged = [];
+    for (const [key, item] of this.data) {
+      if (purged.length >= limit) break;
+      if (item.ttl && Date.now() > item.ttl) {
+        this.data.delete(key);
+        purged.push(key);
+      }
+    }
+    return purged;
+  }
+
   async has(key) {
     const item = this.data.get(key);
     if (!item) return false;
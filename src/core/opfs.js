@@ -0,0 +1,218 @@
+/**
+ * Origin Private File System Storage Layer
+ * Created by Ramkrishna Bhatt V, Milagres PU College, Kallianpur, Udupi
+ * License: MIT
+ */
+
+const { binaryReplacer, parseRecord, nextVersion } = require('../codec');
+
+class OPFSStorage {
+  constructor(namespace = '', options = {}) {
+    this.namespace = namespace;
+    this.directoryName = `lsa_${namespace || 'default'}`;
+    this.root = options.root || null;
+    // Sync access handles are only available inside dedicated workers
+    this.useSyncHandles = options.useSyncHandles !== undefined ?
+      options.useSyncHandles : typeof DedicatedWorkerGlobalScope !== 'undefined';
+    this.directory = null;
+    this.ready = null;
+    this.fileQueues = new Map();
+  }
+
+  async init() {
+    const root = this.root || await navigator.storage.getDirectory();
+    this.directory = await root.getDirectoryHandle(this.directoryName, { create: true });
+  }
+
+  async waitForReady() {
+    if (!this.ready) this.ready = this.init();
+    await this.ready;
+  }
+
+  // Keys are URI-encoded so any string maps onto a valid file name
+  fileName(key) {
+    return `${encodeURIComponent(key)}.json`;
+  }
+
+  // Sync access handles are exclusive, so operations on one file run one
+  // after another instead of failing while another handle is open
+  withFile(key, task) {
+    const run = (this.fileQueues.get(key) || Promise.resolve()).then(task);
+    const settled = run.catch(() => {});
+    this.fileQueues.set(key, settled);
+    settled.then(() => {
+      if (this.fileQueues.get(key) === settled) this.fileQueues.delete(key);
+    });
+    return run;
+  }
+
+  async readRecord(key) {
+    await this.waitForReady();
+    return this.withFile(key, () => this.readFile(key));
+  }
+
+  async readFile(key) {
+    let handle;
+    try {
+      handle = await this.directory.getFileHandle(this.fileName(key));
+    } catch (e) {
+      if (e.name === 'NotFoundError') return null;
+      throw e;
+    }
+
+    let text;
+    if (this.useSyncHandles) {
+      const access = await handle.createSyncAccessHandle();
+      try {
+        const buffer = new Uint8Array(access.getSize());
+        access.read(buffer, { at: 0 });
+        text = new TextDecoder().decode(buffer);
+      } finally {
+        access.close();
+      }
+    } else {
+      const file = await handle.getFile();
+      text = await file.text();
+    }
+
+    return parseRecord(text);
+  }
+
+  async writeRecord(key, record) {
+    await this.waitForReady();
+    await this.withFile(key, () => this.writeFile(key, record));
+  }
+
+  async writeFile(key, record) {
+    const handle = await this.directory.getFileHandle(this.fileName(key), { create: true });
+    const text = JSON.stringify(record, binaryReplacer);
+
+    if (this.useSyncHandles) {
+      const access = await handle.createSyncAccessHandle();
+      try {
+        const bytes = new TextEncoder().encode(text);
+        access.truncate(0);
+        access.write(bytes, { at: 0 });
+        access.flush();
+      } finally {
+        access.close();
+      }
+    } else {
+      const writable = await handle.createWritable();
+      await writable.write(text);
+      await writable.close();
+    }
+  }
+
+  // The previous record is read in the same file operation as the write, so
+  // concurrent writes continue each other's versions
+  async set(key, value, ttl = null) {
+    await this.waitForReady();
+    await this.withFile(key, async () => {
+      // A corrupted record is replaced like a missing one
+      const previous = await this.readFile(key).catch(() => null);
+      await this.writeFile(key, {
+        value,
+        createdAt: Date.now(),
+        updatedAt: Date.now(),
+        version: nextVersion(previous),
+        ttl: ttl ? Date.now() + ttl * 1000 : null
+      });
+    });
+  }
+
+  // Full record with metadata, or null when missing or expired
+  async getRecord(key) {
+    const data = await this.readRecord(key);
+    if (!data) return null;
+
+    if (data.ttl && Date.now() > data.ttl) {
+      await this.remove(key);
+      return null;
+    }
+
+    return data;
+  }
+
+  // Stores a record as is, keeping its metadata
+  async putRecord(key, record) {
+    await this.writeRecord(key, record);
+  }
+
+  async get(key) {
+    const record = await this.getRecord(key);
+    return record ? record.value : null;
+  }
+
+  async remove(key) {
+    await this.waitForReady();
+    await this.withFile(key, async () => {
+      try {
+        await this.directory.removeEntry(this.fileName(key));
+      } catch (e) {
+        if (e.name !== 'NotFoundError') throw e;
+      }
+    });
+  }
+
+  async clear() {
+    const keys = await this.keys();
+    for (const key of keys) {
+      await this.remove(key);
+    }
+  }
+
+  async keys() {
+    await this.waitForReady();
+    const keys = [];
+    for await (const [name, handle] of this.directory.entries()) {
+      if (handle.kind === 'file' && name.endsWith('.json')) {
+        keys.push(decodeURIComponent(name.slice(0, -'.json'.length)));
+      }
+    }
+    return keys;
+  }
+
+  async has(key) {
+    return (await this.get(key)) !== null;
+  }
+
+  async size() {
+    const keys = await this.keys();
+    let count = 0;
+    for (const key of keys) {
+      if (await this.has(key)) count++;
+    }
+    return count;
+  }
+
+  async exportAll() {
+    const data = {};
+    const keys = await this.keys();
+    for (const key of keys) {
+      const value = await this.get(key).catch(error => {
+        // Corrupted records cannot be exported; verify() reports them
+        if (error.code !== 'CORRUPT_RECORD') throw error;
+        return null;
+      });
+      if (value !== null) {
+        data[key] = value;
+      }
+    }
+    return data;
+  }
+
+  async importAll(data) {
+    for (const [key, value] of Object.entries(data)) {
+      await this.set(key, value);
+    }
+  }
+
+  supports() {
+    if (this.root) return true;
+    return typeof navigator !== 'undefined' && !!navigator.storage &&
+      typeof navigator.storage.getDirectory === 'function';
+  }
+}
+
+module.exports = OPFSStorage;
@@ -0,0 +1,271 @@
+/**
+ * Remote (HTTP/REST) Storage Layer
+ * Created by Ramkrishna Bhatt V, Milagres PU College, Kallianpur, Udupi
+ * License: MIT
+ *
+ * REST mapping, relative to `${endpoint}/${namespace}`:
+ *   GET    /:key    -> entry, or 404 when missing
+ *   PUT    /:key    <- entry
+ *   DELETE /:key
+ *   GET    /        -> { key: entry }
+ *   DELETE /        -> clears the namespace
+ *   POST   /_batch  <- { operations: [{ op: 'set', key, record } | { op: 'remove', key }] }
+ *
+ * Every entry is sent with its `version` and stored as is. Entries written
+ * with set() get theirs when their batch is sent: one more than the last
+ * version this instance read or wrote for the key. Only keys it has not seen
+ * yet are read first, with GET /:key.
+ */
+
+const { binaryReplacer, binaryReviver, parseRecord } = require('../codec');
+
+class RemoteStorage {
+  constructor(namespace = '', options = {}) {
+    this.namespace = namespace;
+    this.endpoint = (options.endpoint || '').replace(/\/+$/, '');
+    this.headers = options.headers || {};
+    this.fetch = options.fetch || (typeof fetch !== 'undefined' ? fetch : null);
+    this.timeout = options.timeout || 10000;
+    this.maxRetries = options.maxRetries !== undefined ? options.maxRetries : 3;
+    this.retryDelay = options.retryDelay !== undefined ? options.retryDelay : 100;
+    this.batchWindow = options.batchWindow || 0;
+    this.batchSize = options.batchSize || 50;
+    this.queue = [];
+    this.batchTimer = null;
+    this.sending = Promise.resolve();
+    // key -> last version read or written, null for a missing key
+    this.versions = new Map();
+  }
+
+  url(key) {
+    const base = `${this.endpoint}/${encodeURIComponent(this.namespace || 'default')}`;
+    return key === undefined ? base : `${base}/${encodeURIComponent(key)}`;
+  }
+
+  // `headers` may be a function so auth tokens can be refreshed per request
+  async resolveHeaders() {
+    const headers = typeof this.headers === 'function' ? await this.headers() : this.headers;
+    return { 'Content-Type': 'application/json', ...headers };
+  }
+
+  async fetchOnce(url, init) {
+    const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        if (controller) controller.abort();
+        reject(new Error(`Remote storage request timed out after ${this.timeout}ms`));
+      }, this.timeout);
+    });
+
+    // Called unbound: browsers reject window.fetch invoked on another object
+    const fetchImpl = this.fetch;
+    try {
+      return await Promise.race([
+        fetchImpl(url, { ...init, signal: controller ? controller.signal : undefined }),
+        timeout
+      ]);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  // Network errors, timeouts, 429 and 5xx responses are retried with
+  // exponential backoff; other responses are returned to the caller.
+  async request(method, key, body) {
+    const init = { method, headers: await this.resolveHeaders() };
+    if (body !== undefined) init.body = JSON.stringify(body, binaryReplacer);
+
+    let lastError;
+    for (let attempt = 0; attempt <= this.maxRetries; attempt++) {
+      if (attempt > 0) {
+        await new Promise(resolve => setTimeout(resolve, this.retryDelay * 2 ** (attempt - 1)));
+      }
+
+      try {
+        const response = await this.fetchOnce(this.url(key), init);
+        // A 404 only means a missing key for reads; for writes it is an error
+        if (response.ok || (response.status === 404 && method === 'GET')) return response;
+
+        lastError = new Error(`Remote storage request failed: ${method} ${response.status}`);
+        lastError.status = response.status;
+        if (response.status !== 429 && response.status < 500) break;
+      } catch (error) {
+        lastError = error;
+      }
+    }
+    throw lastError;
+  }
+
+  // Writes are queued and sent together, either after `batchWindow` ms or
+  // once `batchSize` operations are waiting.
+  enqueue(operation) {
+    return new Promise((resolve, reject) => {
+      this.queue.push({ operation, resolve, reject });
+      if (this.queue.length >= this.batchSize) {
+        this.flush();
+      } else if (!this.batchTimer) {
+        this.batchTimer = setTimeout(() => this.flush(), this.batchWindow);
+      }
+    });
+  }
+
+  // Batches are sent one after another, so reads that flush first also wait
+  // for writes already in flight.
+  flush() {
+    clearTimeout(this.batchTimer);
+    this.batchTimer = null;
+    const batch = this.queue.splice(0);
+    if (batch.length > 0) {
+      this.sending = this.sending.then(() => this.send(batch));
+    }
+    return this.sending;
+  }
+
+  async send(batch) {
+    try {
+      const operations = await this.assignVersions(batch.map(item => item.operation));
+      if (operations.length === 1) {
+        const { op, key, record } = operations[0];
+        await this.request(op === 'set' ? 'PUT' : 'DELETE', key, record);
+      } else {
+        await this.request('POST', '_batch', { operations });
+      }
+      operations.forEach(({ op, key, record }) => this.versions.set(key, op === 'set' ? record.version : null));
+      batch.forEach(item => item.resolve());
+    } catch (error) {
+      // The batch may or may not have been stored, so its keys are read again
+      batch.forEach(({ operation }) => this.versions.delete(operation.key));
+      batch.forEach(item => item.reject(error));
+    }
+  }
+
+  // Records without a version continue the one of the record they replace:
+  // an earlier write in the batch, or the last version read or written. Keys
+  // not seen yet are read first; one that cannot be read, like a corrupted
+  // entry or a failed request, is written as a new key instead of failing
+  // the batch.
+  async assignVersions(operations) {
+    const unknown = new Set();
+    const seen = new Set();
+    operations.forEach(({ op, key, record }) => {
+      if (op === 'set' && record.version === undefined && !seen.has(key) && !this.versions.has(key)) {
+        unknown.add(key);
+      }
+      seen.add(key);
+    });
+    await Promise.all(Array.from(unknown, key => this.fetchRecord(key).catch(() => null)));
+
+    const latest = new Map();
+    const versionOf = key => (latest.has(key) ? latest.get(key) : this.versions.get(key));
+    return operations.map(operation => {
+      const { op, key, record } = operation;
+      if (op === 'remove') {
+        latest.set(key, null);
+        return operation;
+      }
+      const versioned = record.version === undefined
+        ? { ...record, version: (versionOf(key) || 0) + 1 }
+        : record;
+      latest.set(key, versioned.version);
+      return { ...operation, record: versioned };
+    });
+  }
+
+  isExpired(record) {
+    return !!(record.ttl && Date.now() > record.ttl);
+  }
+
+  async fetchAll() {
+    await this.flush();
+    const response = await this.request('GET');
+    const data = response.status === 404 ? {} : JSON.parse(await response.text(), binaryReviver);
+    Object.entries(data).forEach(([key, record]) => this.versions.set(key, record.version || 1));
+    return data;
+  }
+
+  async fetchRecord(key) {
+    const response = await this.request('GET', key);
+    const record = response.status === 404 ? null : parseRecord(await response.text());
+    this.versions.set(key, record ? record.version || 1 : null);
+    return record;
+  }
+
+  // The version is assigned when the batch is sent, so reading an unseen
+  // entry neither reorders nor splits up queued writes
+  async set(key, value, ttl = null) {
+    const record = {
+      value,
+      createdAt: Date.now(),
+      updatedAt: Date.now(),
+      ttl: ttl ? Date.now() + ttl * 1000 : null
+    };
+    await this.putRecord(key, record);
+  }
+
+  // Full record with metadata, or null when missing or expired
+  async getRecord(key) {
+    await this.flush();
+    const record = await this.fetchRecord(key);
+    if (!record) return null;
+
+    if (this.isExpired(record)) {
+      await this.remove(key);
+      return null;
+    }
+    return record;
+  }
+
+  // Stores a record as is, keeping its metadata
+  async putRecord(key, record) {
+    await this.enqueue({ op: 'set', key, record });
+  }
+
+  async get(key) {
+    const record = await this.getRecord(key);
+    return record ? record.value : null;
+  }
+
+  async remove(key) {
+    await this.enqueue({ op: 'remove', key });
+  }
+
+  async clear() {
+    await this.flush();
+    this.versions.clear();
+    await this.request('DELETE');
+  }
+
+  async keys() {
+    return Object.keys(await this.fetchAll());
+  }
+
+  async has(key) {
+    return (await this.get(key)) !== null;
+  }
+
+  async size() {
+    const data = await this.exportAll();
+    return Object.keys(data).length;
+  }
+
+  async exportAll() {
+    const data = {};
+    for (const [key, record] of Object.entries(await this.fetchAll())) {
+      if (!this.isExpired(record)) {
+        data[key] = record.value;
+      }
+    }
+    return data;
+  }
+
+  async importAll(data) {
+    await Promise.all(Object.keys(data).map(key => this.set(key, data[key])));
+  }
+
+  supports() {
+    return !!this.endpoint && typeof this.fetch === 'function';
+  }
+}
+
+module.exports = RemoteStorage;
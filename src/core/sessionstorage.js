@@ -0,0 +1,15 @@
+/**
+ * SessionStorage Storage Layer
+ * Created by Ramkrishna Bhatt V, Milagres PU College, Kallianpur, Udupi
+ * License: MIT
+ */
+
+const WebStorageStorage = require('./webstorage');
+
+class SessionStorageStorage extends WebStorageStorage {
+  constructor(namespace = '') {
+    super(namespace, () => sessionStorage);
+  }
+}
+
+module.exports = SessionStorageStorage;
@@ -0,0 +1,259 @@
+/**
+ * Tiered Storage Layer
+ * Created by Ramkrishna Bhatt V, Milagres PU College, Kallianpur, Udupi
+ * License: MIT
+ */
+
+const { nextVersion } = require('../codec');
+
+class TieredStorage {
+  constructor(tiers, options = {}) {
+    // tiers[0] is the fastest (L1), the last tier is the authoritative store
+    this.tiers = tiers.map(tier => ({
+      layer: tier.layer,
+      ttl: tier.ttl || null,
+      maxEntries: tier.maxEntries || Infinity,
+      entries: new Map()
+    }));
+    this.writePolicy = options.writePolicy || 'write-through';
+    this.flushInterval = options.flushInterval !== undefined ? options.flushInterval : 1000;
+    this.onError = options.onError || null;
+    this.dirty = new Set();
+    this.expiries = new Map();
+    this.pruneAt = 1024;
+    this.flushTimer = null;
+  }
+
+  // Entries are kept in access order so the least recently used one is evicted
+  touch(tier, key) {
+    tier.entries.delete(key);
+    tier.entries.set(key, true);
+  }
+
+  // Marks a write for LRU order and evicts the oldest entry over the limit
+  async track(index, key) {
+    const tier = this.tiers[index];
+    this.touch(tier, key);
+
+    if (tier.entries.size > tier.maxEntries) {
+      const [oldest] = tier.entries.keys();
+      await this.evict(index, oldest);
+    }
+  }
+
+  async evict(index, key) {
+    if (index === 0 && this.dirty.has(key)) {
+      await this.flushKey(key);
+    }
+    await this.tiers[index].layer.remove(key);
+    this.tiers[index].entries.delete(key);
+    this.releaseExpiry(key);
+  }
+
+  // The full expiry restores records read from faster tiers, which carry the
+  // capped one. It is remembered until it passes or no faster tier holds the key.
+  rememberExpiry(key, ttl) {
+    this.expiries.set(key, ttl || null);
+    if (this.expiries.size < this.pruneAt) return;
+
+    const now = Date.now();
+    for (const [other, expiry] of this.expiries) {
+      if (expiry && expiry <= now && !this.dirty.has(other)) this.expiries.delete(other);
+    }
+    this.pruneAt = Math.max(1024, this.expiries.size * 2);
+  }
+
+  releaseExpiry(key) {
+    if (this.dirty.has(key)) return;
+    const cached = this.tiers.slice(0, -1).some(tier => tier.entries.has(key));
+    if (!cached) this.expiries.delete(key);
+  }
+
+  // The last tier holds the current record, unless a write-back has not
+  // reached it yet
+  async latestRecord(key) {
+    const tier = this.dirty.has(key) ? this.tiers[0] : this.tiers[this.tiers.length - 1];
+    return tier.layer.getRecord(key);
+  }
+
+  // The version is taken once from the latest record and written to every
+  // tier, so an evicted cache entry never restarts it
+  async set(key, value, ttl = null) {
+    const previous = await this.latestRecord(key);
+    const record = {
+      value,
+      createdAt: Date.now(),
+      updatedAt: Date.now(),
+      version: nextVersion(previous),
+      ttl: ttl ? Date.now() + ttl * 1000 : null
+    };
+    this.rememberExpiry(key, record.ttl);
+
+    if (this.writePolicy === 'write-back' && this.tiers.length > 1) {
+      // Marked dirty first so L1 keeps the record past its tier TTL until flushed
+      this.dirty.add(key);
+      await this.writeTierRecord(0, key, record);
+      this.scheduleFlush();
+      return;
+    }
+
+    // Write the authoritative tier first so a failure never leaves a cache ahead of it
+    for (let i = this.tiers.length - 1; i >= 0; i--) {
+      await this.writeTierRecord(i, key, record);
+    }
+  }
+
+  async get(key) {
+    const record = await this.getRecord(key);
+    return record ? record.value : null;
+  }
+
+  // Reads through the tiers and copies the record up to the faster ones. Records in tiers with a tier TTL
+  // carry the capped expiry, so they are only used while the full expiry is
+  // known; otherwise the next tier is asked.
+  async getRecord(key) {
+    for (let i = 0; i < this.tiers.length; i++) {
+      const tier = this.tiers[i];
+      const last = i === this.tiers.length - 1;
+      if (!last && tier.ttl && !this.expiries.has(key)) continue;
+
+      const record = await tier.layer.getRecord(key);
+      if (!record) continue;
+
+      this.touch(tier, key);
+      if (!last && this.expiries.has(key)) record.ttl = this.expiries.get(key);
+      for (let j = 0; j < i; j++) {
+        await this.writeTierRecord(j, key, record);
+      }
+      return record;
+    }
+
+    // Expired or removed everywhere
+    for (const tier of this.tiers) tier.entries.delete(key);
+    this.releaseExpiry(key);
+    return null;
+  }
+
+  async putRecord(key, record) {
+    this.dirty.delete(key);
+    this.rememberExpiry(key, record.ttl);
+    for (let i = this.tiers.length - 1; i >= 0; i--) {
+      await this.writeTierRecord(i, key, record);
+    }
+  }
+
+  // A tier TTL caps the record expiry, except for dirty L1 entries that
+  // still have to be flushed
+  async writeTierRecord(index, key, record) {
+    const tier = this.tiers[index];
+    const pending = index === 0 && this.dirty.has(key);
+    await tier.layer.putRecord(key, pending ? record : this.capRecord(tier, record));
+    await this.track(index, key);
+  }
+
+  capRecord(tier, record) {
+    if (!tier.ttl) return record;
+    return { ...record, ttl: Math.min(record.ttl || Infinity, Date.now() + tier.ttl * 1000) };
+  }
+
+  async remove(key) {
+    this.dirty.delete(key);
+    this.expiries.delete(key);
+    for (const tier of this.tiers) {
+      await tier.layer.remove(key);
+      tier.entries.delete(key);
+    }
+  }
+
+  async clear() {
+    this.dirty.clear();
+    this.expiries.clear();
+    for (const tier of this.tiers) {
+      await tier.layer.clear();
+      tier.entries.clear();
+    }
+  }
+
+  async keys() {
+    await this.flush();
+    const keys = new Set();
+    for (const tier of this.tiers) {
+      (await tier.layer.keys()).forEach(key => keys.add(key));
+    }
+    return Array.from(keys);
+  }
+
+  async has(key) {
+    for (const tier of this.tiers) {
+      if (await tier.layer.has(key)) return true;
+    }
+    return false;
+  }
+
+  async size() {
+    const data = await this.exportAll();
+    return Object.keys(data).length;
+  }
+
+  async exportAll() {
+    await this.flush();
+    const data = {};
+    // Faster tiers override slower ones
+    for (let i = this.tiers.length - 1; i >= 0; i--) {
+      Object.assign(data, await this.tiers[i].layer.exportAll());
+    }
+    return data;
+  }
+
+  async importAll(data) {
+    for (const [key, value] of Object.entries(data)) {
+      await this.set(key, value);
+    }
+  }
+
+  // Write-back: copy dirty L1 entries down to the slower tiers
+  async flushKey(key) {
+    const record = await this.tiers[0].layer.getRecord(key);
+    if (record) {
+      if (this.expiries.has(key)) record.ttl = this.expiries.get(key);
+      for (let i = 1; i < this.tiers.length; i++) {
+        await this.writeTierRecord(i, key, record);
+      }
+    }
+    this.dirty.delete(key);
+
+    // Once flushed, the L1 copy gets its tier TTL back. It is not tracked
+    // again, so a flush during eviction does not reorder the tier.
+    if (record && this.tiers[0].ttl) {
+      await this.tiers[0].layer.putRecord(key, this.capRecord(this.tiers[0], record));
+    }
+    if (!record) this.releaseExpiry(key);
+  }
+
+  async flush() {
+    if (this.flushTimer) {
+      clearTimeout(this.flushTimer);
+      this.flushTimer = null;
+    }
+    for (const key of Array.from(this.dirty)) {
+      await this.flushKey(key);
+    }
+  }
+
+  scheduleFlush() {
+    if (this.flushTimer || this.flushInterval < 0) return;
+    this.flushTimer = setTimeout(() => {
+      this.flushTimer = null;
+      this.flush().catch(error => {
+        if (this.onError) this.onError(error);
+      });
+    }, this.flushInterval);
+    if (this.flushTimer.unref) this.flushTimer.unref();
+  }
+
+  supports() {
+    return this.tiers.length > 0 && this.tiers.every(tier => tier.layer.supports());
+  }
+}
+
+module.exports = TieredStorage;
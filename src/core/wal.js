@@ -0,0 +1,278 @@
+/**
+ * Write-Ahead Log Storage Layer (Node.js)
+ * Created by Ramkrishna Bhatt V, Milagres PU College, Kallianpur, Udupi
+ * License: MIT
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { binaryReplacer, binaryReviver, nextVersion } = require('../codec');
+const { fileName, enqueueWrite, tempPath } = require('./files');
+
+class WriteAheadLogStorage {
+  constructor(namespace = '', options = {}) {
+    this.namespace = namespace;
+    this.directory = options.directory || path.join(process.cwd(), '.local-storage-api');
+    this.logPath = path.join(this.directory, fileName(namespace, 'log'));
+    this.compactThreshold = options.compactThreshold || 1000;
+    this.autoCompact = options.autoCompact !== false;
+    this.fsync = options.fsync || false;
+    this.data = null;
+    this.stamp = null;
+    this.ready = null;
+    this.entries = 0;
+    this.writeQueue = Promise.resolve();
+  }
+
+  // Rebuild state by replaying the log. A final line without a newline is a
+  // torn write and is cut off. Complete lines that do not parse are skipped
+  // and moved to `${logPath}.corrupt`, and the log is rewritten without them,
+  // so the entries after them are kept.
+  async init() {
+    this.data = new Map();
+    this.entries = 0;
+    this.stamp = null;
+    let contents;
+    let stat;
+    try {
+      stat = await fs.promises.stat(this.logPath);
+      contents = await fs.promises.readFile(this.logPath, 'utf8');
+    } catch (e) {
+      if (e.code !== 'ENOENT') throw e;
+      return;
+    }
+
+    const lines = contents.split('\n');
+    const corrupted = [];
+    let validBytes = 0;
+    for (let i = 0; i < lines.length - 1; i++) {
+      validBytes += Buffer.byteLength(lines[i]) + 1;
+      let entry;
+      try {
+        entry = JSON.parse(lines[i], binaryReviver);
+      } catch (e) {
+        corrupted.push(lines[i]);
+        continue;
+      }
+      this.apply(entry);
+      this.entries++;
+    }
+
+    if (corrupted.length > 0) {
+      await fs.promises.appendFile(`${this.logPath}.corrupt`, corrupted.map(line => `${line}\n`).join(''));
+      await this.rewrite();
+      return;
+    }
+    if (validBytes < Buffer.byteLength(contents)) {
+      await fs.promises.truncate(this.logPath, validBytes);
+    }
+    this.stamp = `${stat.ino}:${validBytes}`;
+  }
+
+  // Replayed in the log's write queue, so a line another instance is
+  // appending is never mistaken for a torn write
+  async waitForReady() {
+    if (!this.ready) this.ready = enqueueWrite(this.logPath, () => this.init());
+    await this.ready;
+  }
+
+  // Inode and size of the log, or null when it is missing. Appends of this
+  // instance grow the size it expects, and compaction replaces the inode.
+  async logStamp() {
+    try {
+      const { ino, size } = await fs.promises.stat(this.logPath);
+      return `${ino}:${size}`;
+    } catch (e) {
+      if (e.code !== 'ENOENT') throw e;
+      return null;
+    }
+  }
+
+  apply(entry) {
+    switch (entry.op) {
+      case 'set':
+        this.data.set(entry.key, entry.record);
+        break;
+      case 'remove':
+        this.data.delete(entry.key);
+        break;
+      case 'clear':
+        this.data.clear();
+        break;
+      case 'commit':
+        entry.operations.forEach(({ key, record }) => {
+          if (record) this.data.set(key, record);
+          else this.data.delete(key);
+        });
+        break;
+    }
+  }
+
+  // Writes of every instance for the log run one after another. The log is
+  // replayed first if another instance or process wrote it since, so
+  // versions and compaction never work from stale data.
+  enqueue(task) {
+    const run = enqueueWrite(this.logPath, async () => {
+      if ((await this.logStamp()) !== this.stamp) await this.init();
+      return await task();
+    });
+    this.writeQueue = run.catch(() => {});
+    return run;
+  }
+
+  // Writes the entry made by `createEntry` and then applies it, so a failed
+  // write leaves the data as it was. Entries are made in the write queue,
+  // where they see every earlier write; no entry means nothing to write.
+  async append(createEntry) {
+    await this.waitForReady();
+
+    await this.enqueue(async () => {
+      const entry = createEntry();
+      if (!entry) return;
+      const line = JSON.stringify(entry, binaryReplacer) + '\n';
+      await fs.promises.mkdir(this.directory, { recursive: true });
+      const handle = await fs.promises.open(this.logPath, 'a');
+      let stat;
+      try {
+        stat = await handle.stat();
+        try {
+          await handle.write(line);
+          if (this.fsync) await handle.datasync();
+        } catch (error) {
+          // Drop a partly written line, which the next entry would extend
+          await handle.truncate(stat.size).catch(() => {});
+          throw error;
+        }
+      } finally {
+        await handle.close();
+      }
+      this.apply(entry);
+      this.entries++;
+      this.stamp = `${stat.ino}:${stat.size + Buffer.byteLength(line)}`;
+    });
+
+    // Compacting only once most entries are stale keeps large stores from
+    // rewriting the whole log on every write
+    if (this.autoCompact && this.entries > this.compactThreshold && this.entries > 2 * this.data.size) {
+      this.enqueue(() => this.rewrite()).catch(() => {});
+    }
+  }
+
+  async compact() {
+    await this.waitForReady();
+    await this.enqueue(() => this.rewrite());
+  }
+
+  // Rewrite the log as one `set` entry per live record
+  async rewrite() {
+    const lines = [];
+    for (const [key, record] of this.data) {
+      if (!record.ttl || Date.now() <= record.ttl) {
+        lines.push(JSON.stringify({ op: 'set', key, record }, binaryReplacer) + '\n');
+      }
+    }
+
+    await fs.promises.mkdir(this.directory, { recursive: true });
+    const temp = tempPath(this.logPath);
+    await fs.promises.writeFile(temp, lines.join(''));
+    await fs.promises.rename(temp, this.logPath);
+    this.entries = lines.length;
+    this.stamp = await this.logStamp();
+  }
+
+  async set(key, value, ttl = null) {
+    await this.append(() => ({
+      op: 'set',
+      key,
+      record: {
+        value,
+        createdAt: Date.now(),
+        updatedAt: Date.now(),
+        version: nextVersion(this.data.get(key)),
+        ttl: ttl ? Date.now() + ttl * 1000 : null
+      }
+    }));
+  }
+
+  // Full record with metadata, or null when missing or expired
+  async getRecord(key) {
+    await this.waitForReady();
+    const item = this.data.get(key);
+    if (!item) return null;
+
+    if (item.ttl && Date.now() > item.ttl) {
+      await this.remove(key);
+      return null;
+    }
+
+    return { ...item };
+  }
+
+  // Stores a record as is, keeping its metadata
+  async putRecord(key, record) {
+    await this.append(() => ({ op: 'set', key, record: { ...record } }));
+  }
+
+  // Applies `{ key, record }` writes, removing keys whose record is null, as
+  // one log entry, so a torn write replays as none of them
+  async commit(operations) {
+    await this.append(() => ({
+      op: 'commit',
+      operations: operations.map(({ key, record }) => ({ key, record: record && { ...record } }))
+    }));
+  }
+
+  async get(key) {
+    const record = await this.getRecord(key);
+    return record ? record.value : null;
+  }
+
+  async remove(key) {
+    await this.append(() => (this.data.has(key) ? { op: 'remove', key } : null));
+  }
+
+  async clear() {
+    await this.append(() => ({ op: 'clear' }));
+  }
+
+  async keys() {
+    await this.waitForReady();
+    return Array.from(this.data.keys());
+  }
+
+  async has(key) {
+    return (await this.get(key)) !== null;
+  }
+
+  async size() {
+    await this.waitForReady();
+    let count = 0;
+    for (const item of this.data.values()) {
+      if (!item.ttl || Date.now() <= item.ttl) count++;
+    }
+    return count;
+  }
+
+  async exportAll() {
+    await this.waitForReady();
+    const data = {};
+    for (const [key, item] of this.data) {
+      if (!item.ttl || Date.now() <= item.ttl) {
+        data[key] = item.value;
+      }
+    }
+    return data;
+  }
+
+  async importAll(data) {
+    for (const [key, value] of Object.entries(data)) {
+      await this.set(key, value);
+    }
+  }
+
+  supports() {
+    return typeof process !== 'undefined' && !!(process.versions && process.versions.node);
+  }
+}
+
+module.exports = WriteAheadLogStorage;
@@ -0,0 +1,171 @@
+/**
+ * Web Storage Layer, shared by the localStorage and sessionStorage layers
+ * Created by Ramkrishna Bhatt V, Milagres PU College, Kallianpur, Udupi
+ * License: MIT
+ */
+
+const { binaryReplacer, parseRecord, nextVersion } = require('../codec');
+
+class WebStorageStorage {
+  // `getArea` returns the Storage object to use; it is looked up on every
+  // call, as the global may be missing or replaced
+  constructor(namespace = '', getArea) {
+    this.namespace = namespace;
+    this.prefix = `lsa_${this.namespace}_`;
+    this.getArea = getArea;
+  }
+
+  get area() {
+    return this.getArea();
+  }
+
+  async set(key, value, ttl = null) {
+    const data = {
+      value,
+      createdAt: Date.now(),
+      updatedAt: Date.now(),
+      version: nextVersion(this.storedRecord(key)),
+      ttl: ttl ? Date.now() + ttl * 1000 : null
+    };
+    await this.putRecord(key, data);
+  }
+
+  // The stored record, also when expired; null when missing or corrupted
+  storedRecord(key) {
+    try {
+      const item = this.area.getItem(this.prefix + key);
+      return item ? parseRecord(item) : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  // Full record with metadata, or null when missing or expired
+  async getRecord(key) {
+    const item = this.area.getItem(this.prefix + key);
+    if (!item) return null;
+
+    const data = parseRecord(item);
+    if (data.ttl && Date.now() > data.ttl) {
+      this.remove(key);
+      return null;
+    }
+    return data;
+  }
+
+  // Stores a record as is, keeping its metadata
+  async putRecord(key, record) {
+    this.area.setItem(this.prefix + key, JSON.stringify(record, binaryReplacer));
+  }
+
+  // Applies `{ key, record }` writes, removing keys whose record is null, all
+  // or none: if an item cannot be written (e.g. the quota is exceeded), the
+  // items written before it are restored
+  async commit(operations) {
+    const previous = operations.map(({ key }) => [key, this.area.getItem(this.prefix + key)]);
+    try {
+      for (const { key, record } of operations) {
+        if (record) this.area.setItem(this.prefix + key, JSON.stringify(record, binaryReplacer));
+        else this.area.removeItem(this.prefix + key);
+      }
+    } catch (error) {
+      for (const [key, item] of previous.reverse()) {
+        if (item === null) this.area.removeItem(this.prefix + key);
+        else this.area.setItem(this.prefix + key, item);
+      }
+      throw error;
+    }
+  }
+
+  async get(key) {
+    const record = await this.getRecord(key);
+    return record ? record.value : null;
+  }
+
+  async remove(key) {
+    this.area.removeItem(this.prefix + key);
+  }
+
+  async clear() {
+    const keys = Object.keys(this.area);
+    keys.forEach(key => {
+      if (key.startsWith(this.prefix)) {
+        this.area.removeItem(key);
+      }
+    });
+  }
+
+  async keys() {
+    const keys = [];
+    for (let i = 0; i < this.area.length; i++) {
+      const key = this.area.key(i);
+      if (key.startsWith(this.prefix)) {
+        keys.push(key.slice(this.prefix.length));
+      }
+    }
+    return keys;
+  }
+
+  // Deletes up to `limit` expired records; corrupted ones are left for verify()
+  async purgeExpired(limit = Infinity) {
+    const purged = [];
+    for (const key of await this.keys()) {
+      if (purged.length >= limit) break;
+      let record;
+      try {
+        record = parseRecord(this.area.getItem(this.prefix + key));
+      } catch (e) {
+        continue;
+      }
+      if (record.ttl && Date.now() > record.ttl) {
+        await this.remove(key);
+        purged.push(key);
+      }
+    }
+    return purged;
+  }
+
+  async has(key) {
+    return (await this.get(key)) !== null;
+  }
+
+  async size() {
+    const data = await this.exportAll();
+    return Object.keys(data).length;
+  }
+
+  async exportAll() {
+    const data = {};
+    const keys = await this.keys();
+    for (const key of keys) {
+      const value = await this.get(key).catch(error => {
+        // Corrupted records cannot be exported; verify() reports them
+        if (error.code !== 'CORRUPT_RECORD') throw error;
+        return null;
+      });
+      if (value !== null) {
+        data[key] = value;
+      }
+    }
+    return data;
+  }
+
+  async importAll(data) {
+    for (const [key, value] of Object.entries(data)) {
+      await this.set(key, value);
+    }
+  }
+
+  supports() {
+    try {
+      const test = '__lsa_test__';
+      this.area.setItem(test, test);
+      this.area.removeItem(test);
+      return true;
+    } catch (e) {
+      return false;
+    }
+  }
+}
+
+module.exports = WebStorageStorage;
@@ -0,0 +1,162 @@
+/**
+ * Record Encryption
+ * Created by Ramkrishna Bhatt V, Milagres PU College, Kallianpur, Udupi
+ * License: MIT
+ *
+ * AES-GCM encryption of record payloads with WebCrypto. Keys come from a
+ * passphrase through PBKDF2, from raw key bytes through HKDF, or are given
+ * as an AES-GCM CryptoKey. Every record gets a random IV and stores the salt
+ * and derivation parameters it was encrypted with:
+ *
+ *   { alg: 'AES-GCM', kid, kdf: 'PBKDF2', hash: 'SHA-256', iterations, salt, iv, text, data }
+ *
+ * The AES key, an HMAC-SHA-256 key for record checksums and the key id
+ * `kid` are all derived from the passphrase or raw key with the record's
+ * salt. Records of a namespace share one salt, so `kid` lets key rotation
+ * tell which records still use an old key.
+ */
+
+const { toBase64, fromBase64 } = require('./codec');
+
+const DEFAULT_ITERATIONS = 600000;
+const HKDF_INFO = 'local-storage-api';
+const KEY_ID_INFO = 'local-storage-api-key-id';
+const MAC_INFO = 'local-storage-api-mac';
+
+// The browser's WebCrypto, or Node.js's (15 and later); null without one
+function getWebCrypto() {
+  if (typeof globalThis.crypto !== 'undefined' && globalThis.crypto.subtle) {
+    return globalThis.crypto;
+  }
+  if (typeof process === 'undefined' || !process.versions || !process.versions.node) return null;
+  // Required where it is used, so the bundle only loads crypto on Node.js
+  return require('crypto').webcrypto || null;
+}
+
+const hasWebCrypto = () => !!getWebCrypto();
+
+function getSubtle() {
+  return getWebCrypto().subtle;
+}
+
+function randomBytes(length) {
+  return getWebCrypto().getRandomValues(new Uint8Array(length));
+}
+
+const isCryptoKey = (key) => typeof key === 'object' && key !== null &&
+  typeof key.algorithm === 'object' && typeof key.usages === 'object';
+
+class RecordCipher {
+  constructor(options = {}) {
+    this.passphrase = options.passphrase || null;
+    this.key = options.key || null;
+    this.iterations = options.iterations || DEFAULT_ITERATIONS;
+    this.salt = options.salt ? new Uint8Array(options.salt) : randomBytes(16);
+    this.kid = options.keyId !== undefined ? options.keyId : null;
+    // Derived keys by salt, so records written with other salts stay readable
+    this.derivedKeys = new Map();
+  }
+
+  get kdf() {
+    if (this.passphrase) return 'PBKDF2';
+    return isCryptoKey(this.key) ? 'none' : 'HKDF';
+  }
+
+  // The AES key, HMAC key and key id for a record's derivation parameters,
+  // cached by salt so records written with other salts stay readable
+  deriveKeys(params) {
+    const cacheKey = `${params.kdf}:${params.iterations || ''}:${params.salt ? toBase64(new Uint8Array(params.salt)) : ''}`;
+    if (!this.derivedKeys.has(cacheKey)) {
+      const derived = this.importKeys(params);
+      // Failed derivations are not cached so they can be retried
+      derived.catch(() => this.derivedKeys.delete(cacheKey));
+      this.derivedKeys.set(cacheKey, derived);
+    }
+    return this.derivedKeys.get(cacheKey);
+  }
+
+  // PBKDF2 or HKDF runs once with the record's salt, and all three values are
+  // expanded from its output, so checking a guessed passphrase against a key
+  // id costs as much as against the record itself. An AES-GCM CryptoKey
+  // cannot sign, so it has no HMAC key, and its id must be given.
+  async importKeys(params) {
+    if (params.kdf !== this.kdf) {
+      throw new Error(`Record was encrypted with ${params.kdf}, but a ${this.kdf} key is configured`);
+    }
+    if (params.kdf === 'none') return { key: this.key, mac: null, kid: this.kid };
+
+    const subtle = getSubtle();
+    let material;
+    if (params.kdf === 'PBKDF2') {
+      const passphrase = await subtle.importKey('raw', new TextEncoder().encode(this.passphrase), 'PBKDF2', false, ['deriveBits']);
+      const bits = await subtle.deriveBits(
+        { name: 'PBKDF2', hash: params.hash, salt: params.salt, iterations: params.iterations },
+        passphrase, 256
+      );
+      material = await subtle.importKey('raw', bits, 'HKDF', false, ['deriveKey', 'deriveBits']);
+    } else {
+      material = await subtle.importKey('raw', this.key, 'HKDF', false, ['deriveKey', 'deriveBits']);
+    }
+
+    const expand = (info) => ({ name: 'HKDF', hash: params.hash, salt: params.salt, info: new TextEncoder().encode(info) });
+    const [key, mac, kid] = await Promise.all([
+      subtle.deriveKey(expand(HKDF_INFO), material, { name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']),
+      subtle.deriveKey(expand(MAC_INFO), material, { name: 'HMAC', hash: 'SHA-256', length: 256 }, false, ['sign', 'verify']),
+      subtle.deriveBits(expand(KEY_ID_INFO), material, 64)
+    ]);
+    return { key, mac, kid: this.kid !== null ? this.kid : toBase64(new Uint8Array(kid)) };
+  }
+
+  // Id of this key for records with `params` (new records by default), or
+  // null when they use another kind of key
+  async keyId(params = this.parameters()) {
+    if (params.kdf !== this.kdf) return null;
+    return (await this.deriveKeys(params)).kid;
+  }
+
+  // Base64 HMAC of `bytes` with the key for `params`, or null without one
+  async sign(bytes, params) {
+    const { mac } = await this.deriveKeys(params);
+    if (!mac) return null;
+    return toBase64(new Uint8Array(await getSubtle().sign('HMAC', mac, bytes)));
+  }
+
+  async verify(bytes, signature, params) {
+    if (!params || params.kdf !== this.kdf) return false;
+    const { mac } = await this.deriveKeys(params);
+    if (!mac) return false;
+    return getSubtle().verify('HMAC', mac, fromBase64(signature), bytes);
+  }
+
+  parameters() {
+    const params = { alg: 'AES-GCM', kdf: this.kdf, hash: 'SHA-256' };
+    if (params.kdf === 'PBKDF2') params.iterations = this.iterations;
+    if (params.kdf !== 'none') params.salt = this.salt.buffer.slice(0);
+    return params;
+  }
+
+  // `data` is a string or bytes; `text` records which, for decrypt()
+  async encrypt(data) {
+    const params = this.parameters();
+    const { key, kid } = await this.deriveKeys(params);
+    const text = typeof data === 'string';
+    const iv = randomBytes(12);
+    const ciphertext = await getSubtle().encrypt(
+      { name: 'AES-GCM', iv },
+      key,
+      text ? new TextEncoder().encode(data) : data
+    );
+    return { kid, ...params, iv: iv.buffer, text, data: ciphertext };
+  }
+
+  async decrypt(record) {
+    if (!record || record.alg !== 'AES-GCM') {
+      throw new Error('Record is not AES-GCM encrypted');
+    }
+    const { key } = await this.deriveKeys(record);
+    const plaintext = await getSubtle().decrypt({ name: 'AES-GCM', iv: record.iv }, key, record.data);
+    return record.text ? new TextDecoder().decode(plaintext) : new Uint8Array(plaintext);
+  }
+}
+
+module.exports = { RecordCipher, hasWebCrypto };
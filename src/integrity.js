@@ -0,0 +1,64 @@
+/**
+ * Record Integrity
+ * Created by Ramkrishna Bhatt V, Milagres PU College, Kallianpur, Udupi
+ * License: MIT
+ *
+ * Checksums stored in the `h` field of a record envelope:
+ *
+ *   'crc32:<hex>'           detects accidental damage
+ *   'hmac-sha256:<base64>'  also detects tampering; used when records are
+ *                           encrypted with a built-in key
+ *
+ * The checksum covers the format fields as well as the payload, so a damaged
+ * header is caught before it sends the payload to the wrong decoder.
+ */
+
+const { binaryReplacer } = require('./codec');
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c;
+  }
+  return table;
+})();
+
+function crc32(bytes) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+const crc32Hex = (bytes) => crc32(bytes).toString(16).padStart(8, '0');
+
+// Fixed field order, so the bytes are the same after any layer round trip
+function envelopeBytes(envelope) {
+  const { s, c, e, b, v, d } = envelope;
+  return new TextEncoder().encode(JSON.stringify([s, c, e, b, v, d], binaryReplacer));
+}
+
+// An HMAC when `cipher` has an HMAC key for the encrypted payload, a CRC-32
+// otherwise
+async function createChecksum(envelope, cipher = null) {
+  const bytes = envelopeBytes(envelope);
+  const mac = cipher ? await cipher.sign(bytes, envelope.d) : null;
+  return mac ? `hmac-sha256:${mac}` : `crc32:${crc32Hex(bytes)}`;
+}
+
+// HMACs need the cipher that wrote the record; unknown algorithms never match
+async function verifyChecksum(envelope, cipher = null) {
+  const separator = envelope.h.indexOf(':');
+  const algorithm = envelope.h.slice(0, separator);
+  const expected = envelope.h.slice(separator + 1);
+  const bytes = envelopeBytes(envelope);
+
+  if (algorithm === 'crc32') return crc32Hex(bytes) === expected;
+  if (algorithm === 'hmac-sha256' && cipher) return await cipher.verify(bytes, expected, envelope.d);
+  return false;
+}
+
+module.exports = { crc32, createChecksum, verifyChecksum };
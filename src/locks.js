@@ -0,0 +1,211 @@
+/**
+ * Locks
+ * Created by Ramkrishna Bhatt V, Milagres PU College, Kallianpur, Udupi
+ * License: MIT
+ *
+ * Named locks for withLock(), exclusive or shared, held across all tabs of
+ * an origin:
+ *
+ *   WebLocks    navigator.locks, where available
+ *   LeaseLocks  leases stored in localStorage and renewed by a heartbeat, so
+ *               the lock of a closed or crashed tab is freed once its lease
+ *               runs out
+ *   LocalLocks  within this process only, where neither is available
+ *               (Node.js, workers without Web Locks)
+ *
+ * `request(name, { mode, timeout }, fn)` runs `fn` while holding the lock and
+ * resolves with its result. Waiting longer than `timeout` milliseconds
+ * rejects with an error with code 'LOCK_TIMEOUT'.
+ */
+
+const lockTimeout = (name, timeout) => Object.assign(
+  new Error(`Timed out after ${timeout}ms waiting for lock ${name}`),
+  { code: 'LOCK_TIMEOUT' }
+);
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+class WebLocks {
+  constructor(locks) {
+    this.locks = locks;
+  }
+
+  async request(name, { mode = 'exclusive', timeout = Infinity } = {}, fn) {
+    if (!isFinite(timeout)) {
+      return await this.locks.request(`lsa:${name}`, { mode }, () => fn());
+    }
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeout);
+    try {
+      return await this.locks.request(`lsa:${name}`, { mode, signal: controller.signal }, () => {
+        clearTimeout(timer);
+        return fn();
+      });
+    } catch (error) {
+      if (controller.signal.aborted && error && error.name === 'AbortError') throw lockTimeout(name, timeout);
+      throw error;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+}
+
+// Lock state in localStorage: { mode, holders: { [holderId]: leaseExpiry } }.
+// localStorage has no compare-and-set, so a holder writes itself in, waits
+// `settle` ms for writes of other tabs to arrive, and only holds the lock if
+// its entry survived.
+class LeaseLocks {
+  constructor(storage, options = {}) {
+    this.storage = storage;
+    this.lease = options.lease || 10000;
+    this.pollInterval = options.pollInterval || 50;
+    this.settle = options.settle !== undefined ? options.settle : 20;
+    this.prefix = 'lsa:lock:';
+  }
+
+  // Current state without expired leases
+  read(name) {
+    let state = null;
+    try {
+      state = JSON.parse(this.storage.getItem(this.prefix + name));
+    } catch (e) {
+      state = null;
+    }
+    const holders = {};
+    const now = Date.now();
+    Object.entries((state && state.holders) || {}).forEach(([id, expires]) => {
+      if (expires > now) holders[id] = expires;
+    });
+    return { mode: state ? state.mode : null, holders };
+  }
+
+  write(name, mode, holders) {
+    if (Object.keys(holders).length === 0) {
+      this.storage.removeItem(this.prefix + name);
+    } else {
+      this.storage.setItem(this.prefix + name, JSON.stringify({ mode, holders }));
+    }
+  }
+
+  async acquire(name, mode, timeout, id) {
+    const deadline = Date.now() + timeout;
+    for (;;) {
+      const state = this.read(name);
+      const free = Object.keys(state.holders).length === 0;
+      if (free || (mode === 'shared' && state.mode === 'shared')) {
+        this.write(name, mode, { ...state.holders, [id]: Date.now() + this.lease });
+        await delay(this.settle);
+        if (this.read(name).holders[id]) return;
+      }
+      if (Date.now() >= deadline) throw lockTimeout(name, timeout);
+      await delay(this.pollInterval);
+    }
+  }
+
+  // A lease that already ran out (e.g. in a suspended tab) is not taken back
+  renew(name, id) {
+    try {
+      const state = this.read(name);
+      if (!state.holders[id]) return;
+      state.holders[id] = Date.now() + this.lease;
+      this.write(name, state.mode, state.holders);
+    } catch (e) {
+      // The next heartbeat tries again
+    }
+  }
+
+  release(name, id) {
+    const state = this.read(name);
+    delete state.holders[id];
+    this.write(name, state.mode, state.holders);
+  }
+
+  async request(name, { mode = 'exclusive', timeout = Infinity } = {}, fn) {
+    const id = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+    await this.acquire(name, mode, timeout, id);
+
+    const heartbeat = setInterval(() => this.renew(name, id), this.lease / 3);
+    if (typeof heartbeat.unref === 'function') heartbeat.unref();
+    try {
+      return await fn();
+    } finally {
+      clearInterval(heartbeat);
+      this.release(name, id);
+    }
+  }
+}
+
+// name -> { mode, count, waiting: [{ mode, grant, timer }] }, shared by every
+// instance in the process
+const localLocks = new Map();
+
+class LocalLocks {
+  async request(name, { mode = 'exclusive', timeout = Infinity } = {}, fn) {
+    await this.acquire(name, mode, timeout);
+    try {
+      return await fn();
+    } finally {
+      this.release(name);
+    }
+  }
+
+  // Shared requests join shared holders unless someone is already waiting,
+  // so exclusive requests are not starved
+  acquire(name, mode, timeout) {
+    const lock = localLocks.get(name);
+    if (!lock) {
+      localLocks.set(name, { mode, count: 1, waiting: [] });
+      return Promise.resolve();
+    }
+    if (mode === 'shared' && lock.mode === 'shared' && lock.waiting.length === 0) {
+      lock.count++;
+      return Promise.resolve();
+    }
+
+    return new Promise((resolve, reject) => {
+      const waiter = { mode, grant: resolve, timer: null };
+      if (isFinite(timeout)) {
+        waiter.timer = setTimeout(() => {
+          lock.waiting.splice(lock.waiting.indexOf(waiter), 1);
+          reject(lockTimeout(name, timeout));
+        }, timeout);
+      }
+      lock.waiting.push(waiter);
+    });
+  }
+
+  release(name) {
+    const lock = localLocks.get(name);
+    if (--lock.count > 0) return;
+    if (lock.waiting.length === 0) {
+      localLocks.delete(name);
+      return;
+    }
+
+    const grant = (waiter) => {
+      clearTimeout(waiter.timer);
+      lock.count++;
+      waiter.grant();
+    };
+    const next = lock.waiting.shift();
+    lock.mode = next.mode;
+    grant(next);
+    while (lock.mode === 'shared' && lock.waiting.length > 0 && lock.waiting[0].mode === 'shared') {
+      grant(lock.waiting.shift());
+    }
+  }
+}
+
+// The best lock implementation the environment offers
+function createLockManager(options = {}) {
+  if (typeof navigator !== 'undefined' && navigator.locks && typeof navigator.locks.request === 'function') {
+    return new WebLocks(navigator.locks);
+  }
+  if (typeof localStorage !== 'undefined') {
+    return new LeaseLocks(localStorage, options);
+  }
+  return new LocalLocks();
+}
+
+module.exports = { WebLocks, LeaseLocks, LocalLocks, createLockManager };
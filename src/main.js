@@ -7,6 +7,17 @@
 const IndexedDBStorage = require('./core/indexeddb');
 const LocalStorageStorage = require('./core/localstorage');
 const MemoryStorage = require('./core/memory');
+const OPFSStorage = require('./core/opfs');
+const SessionStorageStorage = require('./core/sessionstorage');
+const CookieStorage = require('./core/cookie');
+const TieredStorage = require('./core/tiered');
+const RemoteStorage = require('./core/remote');
+const codec = require('./codec');
+const { createNativeEngine } = require('./compression');
+const { RecordCipher, hasWebCrypto } = require('./crypto');
+const integrity = require('./integrity');
+const { ReadCache } = require('./cache');
+const { createLockManager } = require('./locks');
 const { EventEmitter } = require('events');
 
 // Compression and serialization
@@ -22,9 +33,12 @@ class StorageError extends Error {
   }
 }
 
+// A write the layer rejected for lack of space; `size` is the bytes attempted
 class QuotaExceededError extends StorageError {
-  constructor() {
-    super('Storage quota exceeded', 'QUOTA_EXCEEDED');
+  constructor(key = null, size = null) {
+    super(key === null ? 'Storage quota exceeded' : `Storage quota exceeded writing ${key}`, 'QUOTA_EXCEEDED');
+    this.key = key;
+    this.size = size;
   }
 }
 
@@ -40,13 +54,55 @@ class SerializationError extends StorageError {
   }
 }
 
-// Compression engines
+// Wrong key, tampered data, or an encrypted record read without encryption
+class DecryptionError extends SerializationError {
+  constructor(message) {
+    super(message);
+    this.code = 'DECRYPTION_ERROR';
+  }
+}
+
+// A stored record that cannot be parsed or fails its checksum
+class IntegrityError extends StorageError {
+  constructor(message, key = null) {
+    super(message, 'INTEGRITY_ERROR');
+    this.key = key;
+  }
+}
+
+// withLock() gave up waiting for a lock
+class LockTimeoutError extends StorageError {
+  constructor(name, timeout) {
+    super(`Timed out after ${timeout}ms waiting for lock ${name}`, 'LOCK_TIMEOUT');
+    this.lock = name;
+    this.timeout = timeout;
+  }
+}
+
+// setIf() found the key at another version than the one expected; a
+// version of null stands for a missing key
+class ConflictError extends StorageError {
+  constructor(key, expected, actual) {
+    const describe = (version) => (version === null ? 'no entry' : `version ${version}`);
+    super(`Version conflict writing ${key}: expected ${describe(expected)}, found ${describe(actual)}`, 'CONFLICT');
+    this.key = key;
+    this.expectedVersion = expected;
+    this.actualVersion = actual;
+  }
+}
+
+// Compression engines. Engines take text unless they set `binary: true`, in
+// which case they also take Uint8Arrays. `available()` is optional.
 const CompressionEngines = {
+  'deflate': createNativeEngine('deflate'),
+  'gzip': createNativeEngine('gzip'),
+  'brotli': createNativeEngine('brotli'),
   'lz-string': {
     compress: (data) => lzString.compressToUTF16(data),
     decompress: (data) => lzString.decompressFromUTF16(data)
   },
   'none': {
+    binary: true,
     compress: (data) => data,
     decompress: (data) => data
   }
@@ -64,6 +120,90 @@ const SerializationStrategies = {
   }
 };
 
+// Stored records are wrapped in an envelope naming the format they were
+// written with: { $lsa, s: serializer, c: compressor, e: encrypted,
+// b: binary serializer output, v: schema version, d: payload, h: checksum }
+const ENVELOPE_FORMAT = 1;
+
+// Bytes a payload occupies; strings are counted as UTF-16, as Web Storage does
+const payloadSize = (data) => {
+  if (codec.isBinary(data)) return data.byteLength;
+  return typeof data === 'string' ? data.length * 2 : 0;
+};
+
+const isEnvelope = (data) =>
+  typeof data === 'object' && data !== null && data.$lsa === ENVELOPE_FORMAT;
+
+// Keys are given as a passphrase string, `{ passphrase | key, ... }`, or a
+// CryptoKey / raw key bytes; unset options are taken from `base`
+const toEncryptionOptions = (spec, base = {}) => {
+  if (typeof spec === 'string') return { iterations: base.iterations, passphrase: spec };
+  if (spec && (spec.passphrase || spec.key)) return { iterations: base.iterations, ...spec };
+  return { key: spec };
+};
+
+// Built-in encryption runs on WebCrypto, which Node.js 14 lacks
+const createCipher = (options) => {
+  if (!hasWebCrypto()) {
+    throw new StorageError('Built-in encryption needs WebCrypto, which is not available in this environment', 'UNSUPPORTED_ENCRYPTION');
+  }
+  return new RecordCipher(options);
+};
+
+// Approximate bytes of a stored value: its payload, or the ciphertext of an
+// encrypted one
+const storedSize = (value) => {
+  const data = isEnvelope(value) ? value.d : value;
+  if (data && typeof data === 'object' && codec.isBinary(data.data)) return data.data.byteLength;
+  return payloadSize(data);
+};
+
+// Quota errors as reported by browsers (DOMException name or legacy code,
+// including Firefox's) and by Node for a full or over-quota disk
+const isQuotaError = (error) => !!error && (
+  error.name === 'QuotaExceededError' || error.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+  error.code === 22 || error.code === 1014 || error.code === 'ENOSPC' || error.code === 'EDQUOT' ||
+  error instanceof QuotaExceededError
+);
+
+// Errors of a single request rather than of the layer: the server rejected
+// it (a 4xx other than a timeout), the value cannot be stored, or the
+// library raised it. These are thrown to the caller instead of failing over.
+const isRequestError = (error) => !!error && (
+  (error.status >= 400 && error.status < 500 && error.status !== 408) ||
+  error.name === 'DataCloneError' || error instanceof StorageError
+);
+
+const isPlainObject = (value) => Object.prototype.toString.call(value) === '[object Object]';
+
+// JSON Merge Patch (RFC 7396): members of `patch` replace those of `target`,
+// nested objects are merged, and null members are removed
+const applyMergePatch = (target, patch) => {
+  if (!isPlainObject(patch)) return patch;
+  const result = isPlainObject(target) ? { ...target } : {};
+  Object.entries(patch).forEach(([key, value]) => {
+    if (value === null) delete result[key];
+    else result[key] = applyMergePatch(result[key], value);
+  });
+  return result;
+};
+
+// What to do when a write exceeds the quota: evict entries and retry, fail
+// over to the next layer, or reject the write
+const QuotaPolicies = ['evict', 'fallback', 'reject'];
+
+// Eviction policies order entries of a full namespace, first evicted first.
+// Entries are { key, size, createdAt, updatedAt, accessedAt, hits, ttl }.
+const EvictionPolicies = {
+  lru: (a, b) => a.accessedAt - b.accessedAt,
+  lfu: (a, b) => a.hits - b.hits || a.accessedAt - b.accessedAt,
+  // Soonest expiry first, then entries without a TTL, oldest first
+  ttl: (a, b) => (a.ttl || Infinity) - (b.ttl || Infinity) || a.createdAt - b.createdAt
+};
+
+// Storage layer registry: name -> { factory, priority, enabled }
+const LayerRegistry = new Map();
+
 // Storage profiles
 const StorageProfiles = {
   'ultra-fast': {
@@ -75,7 +215,11 @@ const StorageProfiles = {
   'max-compression': {
     compression: 'lz-string',
     serialization: 'msgpack',
+    // Adaptive mode tries each engine per value and keeps the smallest
+    // result; values under the threshold (in bytes) are not compressed
     adaptive: true,
+    adaptiveEngines: ['brotli', 'deflate', 'lz-string'],
+    compressionThreshold: 512,
     maxRetries: 3
   },
   'low-memory': {
@@ -92,16 +236,136 @@ const StorageProfiles = {
   }
 };
 
+// Writes staged by storage.transaction(). Reads see the transaction's own
+// writes; nothing reaches the layer until the callback has returned.
+class Transaction {
+  constructor(storage) {
+    this.storage = storage;
+    // key -> { key, value, record, oldValue, options }; `record` is null for removals
+    this.staged = new Map();
+    this.finished = false;
+  }
+
+  checkOpen() {
+    if (this.finished) {
+      throw new StorageError('The transaction has already finished', 'TRANSACTION_FINISHED');
+    }
+  }
+
+  async oldValue(key) {
+    const staged = this.staged.get(key);
+    return staged ? staged.oldValue : await this.storage.replacedValue(key);
+  }
+
+  async get(key) {
+    this.checkOpen();
+    const staged = this.staged.get(key);
+    if (staged) return staged.record ? staged.value : null;
+    return await this.storage.get(key);
+  }
+
+  async has(key) {
+    return (await this.get(key)) !== null;
+  }
+
+  async set(key, value, options = {}) {
+    this.checkOpen();
+    const { hooks } = this.storage;
+    if (hooks.beforeSet) {
+      const result = await hooks.beforeSet(key, value, options);
+      if (result === false) return;
+      if (result !== undefined) value = result;
+    }
+
+    const serialized = await this.storage.serialize(value, options);
+    const record = this.storage.createRecord(key, serialized, this.storage.expiryOf(options));
+    const oldValue = await this.oldValue(key);
+    this.staged.delete(key);
+    this.staged.set(key, { key, value, record, oldValue, options });
+  }
+
+  async remove(key) {
+    this.checkOpen();
+    const { hooks } = this.storage;
+    if (hooks.beforeDelete) {
+      const result = await hooks.beforeDelete(key);
+      if (result === false) return;
+    }
+
+    const oldValue = await this.oldValue(key);
+    this.staged.delete(key);
+    this.staged.set(key, { key, value: null, record: null, oldValue });
+  }
+
+  async delete(key) {
+    return this.remove(key);
+  }
+}
+
 // Main LocalStorageAPI class
 class LocalStorageAPI extends EventEmitter {
+  // Register a storage layer for the `layers` and `tiers` options and for
+  // automatic selection, where higher priorities are tried first (IndexedDB
+  // is 40, memory is 0). `enabled(options)` can opt a layer out of automatic
+  // selection. The factory is called as `factory(namespace, options, storage)`.
+  static registerLayer(name, factory, options = {}) {
+    const priority = options.priority || 0;
+    LayerRegistry.set(name.toLowerCase(), {
+      factory,
+      priority: typeof priority === 'function' ? priority : () => priority,
+      enabled: options.enabled || (() => true)
+    });
+  }
+
+  // Register a serializer for the `serialization` profile field and per-call
+  // option. `serialize(value)` and `deserialize(data)` may return promises.
+  static registerSerializer(name, serializer) {
+    if (!serializer || typeof serializer.serialize !== 'function' || typeof serializer.deserialize !== 'function') {
+      throw new SerializationError(`Serializer ${name} must provide serialize() and deserialize()`);
+    }
+    SerializationStrategies[name] = serializer;
+  }
+
+  // Register a compressor for the `compression` profile field and per-call
+  // option. `compress(data)` and `decompress(data)` may return promises.
+  static registerCompressor(name, compressor) {
+    if (!compressor || typeof compressor.compress !== 'function' || typeof compressor.decompress !== 'function') {
+      throw new SerializationError(`Compressor ${name} must provide compress() and decompress()`);
+    }
+    CompressionEngines[name] = compressor;
+  }
+
+  // Register a class, or `{ is, encode, decode }`, so its instances are
+  // revived on read. `encode` must return a value the codec can store.
+  static registerType(name, definition) {
+    try {
+      codec.registerType(name, definition);
+    } catch (error) {
+      throw new SerializationError(error.message);
+    }
+  }
+
+  // Register an eviction policy for the `eviction` option: a compare
+  // function over entry stats that sorts the first entry to evict first
+  static registerEvictionPolicy(name, compare) {
+    if (typeof compare !== 'function') {
+      throw new StorageError(`Eviction policy ${name} must be a compare function`, 'INVALID_POLICY');
+    }
+    EvictionPolicies[name] = compare;
+  }
+
   constructor(options = {}) {
     super();
+    this.options = options;
 
     // Founder attribution
     this._founder = 'Ramkrishna Bhatt V, Milagres PU College, Kallianpur, Udupi';
 
     this.namespace = options.namespace || '';
-    this.profile = StorageProfiles[options.profile] || StorageProfiles['safe-mode'];
+    // A profile is either a built-in name or an object overriding safe-mode
+    this.profile = typeof options.profile === 'object' && options.profile !== null ?
+      { ...StorageProfiles['safe-mode'], ...options.profile } :
+      StorageProfiles[options.profile] || StorageProfiles['safe-mode'];
     this.version = options.version || 1;
 
     // Advanced options
@@ -109,49 +373,704 @@ class LocalStorageAPI extends EventEmitter {
     this.safeMode = options.safeMode || false;
     this.hooks = options.hooks || {};
     this.encryption = options.encryption || null;
+    // `encryption: { passphrase | key }` uses built-in AES-GCM instead of hooks
+    this.cipher = this.encryption && (this.encryption.passphrase || this.encryption.key) ?
+      createCipher(this.encryption) : null;
+    // Keys that records may still be encrypted with, e.g. during a rotation
+    this.retiredCiphers = ((this.encryption && this.encryption.previousKeys) || [])
+      .map(spec => createCipher(toEncryptionOptions(spec, this.encryption)));
     this.sync = options.sync || null;
+    this.directory = options.directory || null;
+    this.tiers = options.tiers || null;
+    this.writePolicy = options.writePolicy || 'write-through';
+    this.flushInterval = options.flushInterval;
+    this.autoFailover = options.failover !== false;
+    this.sweepBatchSize = options.sweepBatchSize || 100;
+
+    // Capacity limits; `eviction` is a policy name or a compare function
+    this.maxEntries = options.maxEntries || Infinity;
+    this.maxBytes = options.maxBytes || Infinity;
+    this.bounded = isFinite(this.maxEntries) || isFinite(this.maxBytes);
+    this.evictionPolicy = typeof options.eviction === 'function' ?
+      options.eviction : EvictionPolicies[options.eviction || 'lru'];
+    if (!this.evictionPolicy) {
+      throw new StorageError(`Unknown eviction policy: ${options.eviction}`, 'UNKNOWN_POLICY');
+    }
+    // Falling back by default could move writes to memory unnoticed
+    this.onQuotaExceeded = options.onQuotaExceeded || 'reject';
+    if (!QuotaPolicies.includes(this.onQuotaExceeded)) {
+      throw new StorageError(`Unknown quota policy: ${options.onQuotaExceeded}`, 'UNKNOWN_POLICY');
+    }
 
     // Internal state
     this.layers = [];
     this.currentLayer = null;
-    this.cache = new Map();
+    // Layers for data kept next to the namespace, by namespace suffix
+    this.companionLayers = new Map();
+    this.sweepTimer = null;
+    // key -> entry stats of a bounded namespace, loaded on first use
+    this.entryIndex = null;
+    this.layerNames = new Map();
+    this.failedLayers = new Set();
+    this.switching = null;
+    this.cache = new ReadCache({
+      ttl: options.cacheTTL,
+      maxEntries: options.cacheMaxEntries || 1000,
+      maxBytes: options.cacheMaxBytes,
+      staleWhileRevalidate: options.staleWhileRevalidate
+    });
     this.auditLog = [];
     this.operationHistory = [];
     this.snapshots = new Map();
     this.models = new Map();
     this.migrations = [];
-    this.locks = new Map();
+    // Web Locks, localStorage leases or in-process locks (see src/locks.js)
+    this.locks = createLockManager(options.locks);
     this.metrics = {
       reads: 0,
       writes: 0,
       deletes: 0,
       readLatency: [],
       writeLatency: [],
-      errors: []
+      errors: [],
+      evictions: 0,
+      compression: {
+        originalBytes: 0,
+        compressedBytes: 0,
+        engines: {}
+      }
     };
 
     this.initLayers();
+    if (options.sweepInterval) this.startSweeper(options.sweepInterval);
   }
 
   initLayers() {
-    const isNodeJS = typeof window === 'undefined';
+    if (this.tiers) {
+      this.initTiers();
+    } else {
+      const specs = this.options.layers || Array.from(LayerRegistry.entries())
+        .filter(([, entry]) => entry.enabled(this.options))
+        .sort(([, a], [, b]) => b.priority(this.options) - a.priority(this.options))
+        .map(([name]) => name);
+
+      specs.forEach(spec => this.layers.push(this.resolveLayer(spec)));
+      if (!this.layers.some(layer => layer.supports())) {
+        this.layers.push(this.createLayer('memory'));
+      }
 
-    if (!isNodeJS) {
-      this.layers.push(new IndexedDBStorage(this.namespace));
-      this.layers.push(new LocalStorageStorage(this.namespace));
+      // Select layer based on profile and availability
+      this.currentLayer = this.layers.find(layer => layer.supports()) ||
+        this.layers[this.layers.length - 1]; // Memory fallback
     }
-    this.layers.push(new MemoryStorage(this.namespace));
 
-    // Select layer based on profile and availability
-    for (const layer of this.layers) {
-      if (layer.supports()) {
-        this.currentLayer = layer;
-        break;
+    // A layer that fails to open (e.g. IndexedDB in private mode) is marked
+    // as failed right away instead of on the next operation.
+    this.layers.forEach(layer => {
+      if (layer.ready && typeof layer.ready.catch === 'function') {
+        layer.ready.catch(error => this.failover(layer, error).catch(() => {}));
+      }
+    });
+  }
+
+  // Layer options come from the constructor option named after the layer
+  // (e.g. `cookie: { path }`), overridden by options given in the spec.
+  createLayer(name, options = {}, namespace = this.namespace) {
+    const key = name.toLowerCase();
+    const entry = LayerRegistry.get(key);
+    if (!entry) throw new StorageError(`Unknown storage layer: ${name}`, 'UNKNOWN_LAYER');
+
+    const defaults = typeof this.options[key] === 'object' ? this.options[key] : {};
+    const layer = entry.factory(namespace, { directory: this.directory, ...defaults, ...options }, this);
+    this.layerNames.set(layer, key);
+    return layer;
+  }
+
+  // A layer spec is a registered name, `{ layer: name, ...options }` or a layer instance
+  resolveLayer(spec) {
+    if (typeof spec === 'string') return this.createLayer(spec);
+    if (typeof spec.layer === 'string') {
+      const { layer, ...options } = spec;
+      return this.createLayer(layer, options);
+    }
+    return spec.layer || spec;
+  }
+
+  layerName(layer) {
+    return this.layerNames.get(layer) || layer.constructor.name;
+  }
+
+  // Tiered mode: the configured layers form one hierarchy, fastest first.
+  // Tiers replace the in-memory read cache.
+  initTiers() {
+    const tiers = this.tiers.map(spec => {
+      const tier = typeof spec === 'string' ? { layer: spec } : spec;
+      return { ...tier, layer: this.resolveLayer(tier) };
+    }).filter(tier => tier.layer.supports());
+
+    if (tiers.length === 0) {
+      tiers.push({ layer: this.createLayer('memory') });
+    }
+
+    this.currentLayer = new TieredStorage(tiers, {
+      writePolicy: this.writePolicy,
+      flushInterval: this.flushInterval,
+      onError: (error) => {
+        this.metrics.errors.push(error);
+        this.log('error', `Write-back flush failed: ${error.message}`);
+      }
+    });
+    this.layers.push(this.currentLayer);
+  }
+
+  // Run an operation on the current layer. If the layer is unavailable, fail
+  // over to the next healthy layer and retry there. Corrupted records and
+  // rejected requests are a problem of the call, not the layer, and never
+  // cause a failover. A full layer is handled by the `onQuotaExceeded` policy.
+  async runOnLayer(method, ...args) {
+    for (;;) {
+      if (this.switching) await this.switching;
+      const layer = this.currentLayer;
+      try {
+        return await layer[method](...args);
+      } catch (error) {
+        if (error.code === 'CORRUPT_RECORD') {
+          const corrupted = new IntegrityError(error.message);
+          corrupted.raw = error.raw;
+          throw corrupted;
+        }
+        if (isQuotaError(error)) {
+          const writes = this.writesOf(method, args);
+          const quotaError = this.toQuotaError(writes, error);
+          // Imports replace the namespace, so none of their keys are kept
+          const keep = method === 'importAll' ? [] : writes.map(([key]) => key);
+          if (!(await this.recoverFromQuota(layer, quotaError, keep))) throw quotaError;
+          continue;
+        }
+        if (isRequestError(error)) throw error;
+        if (!(await this.failover(layer, error))) throw error;
+      }
+    }
+  }
+
+  // [key, stored value] pairs written by a layer call
+  writesOf(method, args) {
+    switch (method) {
+      case 'set':
+        return [[args[0], args[1]]];
+      case 'putRecord':
+        return [[args[0], args[1].value]];
+      case 'commit':
+        return args[0].filter(operation => operation.record)
+          .map(operation => [operation.key, operation.record.value]);
+      case 'importAll':
+        return Object.entries(args[0]);
+      default:
+        return [];
+    }
+  }
+
+  // The rejected writes as a QuotaExceededError, naming the key when there
+  // was only one
+  toQuotaError(writes, cause) {
+    if (cause instanceof QuotaExceededError) return cause;
+    const size = writes.length ?
+      writes.reduce((total, [, value]) => total + storedSize(value), 0) : null;
+    const error = new QuotaExceededError(writes.length === 1 ? writes[0][0] : null, size);
+    error.cause = cause;
+    return error;
+  }
+
+  // Returns true when the write should be retried; `keep` are the keys
+  // being written, which are never evicted to make room for themselves
+  async recoverFromQuota(layer, error, keep) {
+    this.log('warn', `${error.message} on ${this.layerName(layer)} (${this.onQuotaExceeded})`);
+    if (this.onQuotaExceeded === 'evict') return await this.evictForQuota(error, keep);
+    if (this.onQuotaExceeded === 'fallback') return await this.failover(layer, error);
+    return false;
+  }
+
+  // Read and write whole records, including their expiry, where the layer
+  // supports it; other layers only keep the value and remaining TTL
+  async getLayerRecord(key) {
+    if (typeof this.currentLayer.getRecord === 'function') {
+      return await this.runOnLayer('getRecord', key);
+    }
+    const value = await this.runOnLayer('get', key);
+    return value === null ? null : { value, ttl: null };
+  }
+
+  async putLayerRecord(key, record) {
+    if (typeof this.currentLayer.putRecord === 'function') {
+      return await this.runOnLayer('putRecord', key, record);
+    }
+    const ttl = record.ttl ? Math.max(1, Math.ceil((record.ttl - Date.now()) / 1000)) : null;
+    return await this.runOnLayer('set', key, record.value, ttl);
+  }
+
+  // Expiry fields for a record written with `options`: `ttl` is the absolute
+  // expiry, `lifetime` the TTL in seconds that touch() and sliding expiry
+  // renew, and `sliding` restarts the expiry on every read
+  expiryOf(options) {
+    if (options.expireAt !== undefined && options.expireAt !== null) {
+      const expireAt = options.expireAt instanceof Date ? options.expireAt.getTime() : options.expireAt;
+      if (typeof expireAt !== 'number' || !isFinite(expireAt)) {
+        throw new StorageError('expireAt must be a Date or a timestamp in milliseconds', 'INVALID_EXPIRY');
+      }
+      return { ttl: expireAt, lifetime: null, sliding: false };
+    }
+    if (options.sliding && !options.ttl) {
+      throw new StorageError('Sliding expiry needs a ttl', 'INVALID_EXPIRY');
+    }
+    if (!options.ttl) return null;
+    return { ttl: Date.now() + options.ttl * 1000, lifetime: options.ttl, sliding: !!options.sliding };
+  }
+
+  // Returns true when the operation should be retried on the (new) current layer
+  async failover(layer, error) {
+    this.failedLayers.add(layer);
+    if (layer !== this.currentLayer) return true;
+    if (!this.autoFailover) return false;
+
+    const next = this.layers.find(candidate =>
+      !this.failedLayers.has(candidate) && candidate.supports());
+    if (!next) return false;
+
+    this.currentLayer = next;
+    this.entryIndex = null;
+    this.log('warn', `Layer ${this.layerName(layer)} failed (${error.message}), switching to ${this.layerName(next)}`);
+
+    this.switching = (async () => {
+      let migrated = 0;
+      try {
+        // Copy whatever the failed layer can still read
+        migrated = await this.copyLayer(layer, next);
+      } catch (e) {
+        this.log('warn', `Could not copy data from ${this.layerName(layer)}: ${e.message}`);
+      }
+
+      this.emit('layerchange', {
+        from: this.layerName(layer),
+        to: this.layerName(next),
+        error,
+        migrated,
+        action: 'layerchange'
+      });
+    })();
+
+    try {
+      await this.switching;
+    } finally {
+      this.switching = null;
+    }
+    return true;
+  }
+
+  // Copies the entries `source` can read to `target` and returns how many
+  // were copied. Whole records are copied where both layers support it, so
+  // expiry and versions survive; other layers only receive the values.
+  async copyLayer(source, target) {
+    if (typeof source.getRecord !== 'function' || typeof target.putRecord !== 'function') {
+      const data = await source.exportAll();
+      await target.importAll(data);
+      return Object.keys(data).length;
+    }
+
+    let copied = 0;
+    for (const key of await source.keys()) {
+      const record = await source.getRecord(key).catch(error => {
+        // Corrupted records cannot be copied; verify() reports them
+        if (error.code !== 'CORRUPT_RECORD') throw error;
+        return null;
+      });
+      if (record) {
+        await target.putRecord(key, record);
+        copied++;
+      }
+    }
+    return copied;
+  }
+
+  // Move the namespace from one backend to another. Layers are given by name
+  // or instance; the current layer is switched when it is the source.
+  async migrateLayer(from, to, options = {}) {
+    const resolve = (layer) => {
+      if (typeof layer !== 'string') return layer;
+      return this.layers.find(candidate => this.layerName(candidate) === layer.toLowerCase()) ||
+        this.createLayer(layer);
+    };
+    const source = resolve(from);
+    const target = resolve(to);
+
+    if (!target.supports()) {
+      throw new StorageError(`Storage layer ${this.layerName(target)} is not supported`, 'UNSUPPORTED_LAYER');
+    }
+    if (!this.layers.includes(target)) {
+      this.layers.splice(this.layers.indexOf(source) + 1, 0, target);
+    }
+
+    const migrated = await this.copyLayer(source, target);
+    if (!options.keepSource) {
+      await source.clear();
+    }
+
+    if (source === this.currentLayer) {
+      this.currentLayer = target;
+      this.entryIndex = null;
+      this.failedLayers.delete(target);
+      this.emit('layerchange', {
+        from: this.layerName(source),
+        to: this.layerName(target),
+        migrated,
+        action: 'layerchange'
+      });
+    }
+
+    return migrated;
+  }
+
+  // Re-encrypt every record of the namespace with `newKey`. New writes use
+  // `newKey` as soon as the rotation starts, and records written with either
+  // key stay readable. Records already carrying the new key id are skipped,
+  // so an interrupted rotation is resumed by calling rotateKey() again.
+  async rotateKey(oldKey, newKey) {
+    const base = this.encryption || {};
+    const from = createCipher(toEncryptionOptions(oldKey, base));
+    const to = createCipher(toEncryptionOptions(newKey, base));
+
+    if (this.cipher) this.retiredCiphers.unshift(this.cipher);
+    this.retiredCiphers.unshift(from);
+    this.cipher = to;
+    this.encryption = toEncryptionOptions(newKey, base);
+    await this.useNamespaceSalt();
+
+    const keys = await this.runOnLayer('keys');
+    const progress = { total: keys.length, done: 0, rotated: 0, skipped: 0, failed: [] };
+    this.emit('rotationstart', { total: keys.length, action: 'rotationstart' });
+
+    for (const key of keys) {
+      const record = await this.getLayerRecord(key);
+      const envelope = record && record.value;
+
+      if (!isEnvelope(envelope) || envelope.e !== 'aes-gcm' || await this.usesKey(envelope.d, to)) {
+        progress.skipped++;
+      } else {
+        try {
+          const plaintext = await this.decryptPayload(envelope.d);
+          const rotated = { ...envelope, d: await to.encrypt(plaintext) };
+          rotated.h = await integrity.createChecksum(rotated, to);
+          await this.putLayerRecord(key, { ...record, value: rotated, updatedAt: Date.now() });
+          progress.rotated++;
+        } catch (error) {
+          this.log('warn', `Could not re-encrypt ${key}: ${error.message}`);
+          progress.failed.push(key);
+        }
+      }
+
+      progress.done++;
+      this.emit('rotationprogress', { key, ...progress, action: 'rotationprogress' });
+    }
+
+    this.emit('rotationcomplete', { ...progress, action: 'rotationcomplete' });
+    return progress;
+  }
+
+  // Data kept next to the namespace lives in `${namespace}.${suffix}` on the
+  // same kind of layer (the last tier in tiered mode), or in memory for
+  // unregistered layers
+  companionStore(suffix) {
+    if (!this.companionLayers.has(suffix)) {
+      const layer = this.currentLayer instanceof TieredStorage ?
+        this.currentLayer.tiers[this.currentLayer.tiers.length - 1].layer : this.currentLayer;
+      const name = this.layerName(layer);
+      const namespace = `${this.namespace}.${suffix}`;
+      this.companionLayers.set(suffix, LayerRegistry.has(name) ?
+        this.createLayer(name, {}, namespace) : new MemoryStorage(namespace));
+    }
+    return this.companionLayers.get(suffix);
+  }
+
+  quarantineStore() {
+    return this.companionStore('quarantine');
+  }
+
+  // Move a bad record out of the namespace, keeping what was stored
+  async quarantine(key, reason, data = null) {
+    await this.quarantineStore().set(key, { reason, data, quarantinedAt: Date.now() });
+    await this.runOnLayer('remove', key);
+    this.cache.delete(key);
+    this.trackEntry(key, null);
+    this.log('warn', `Quarantined ${key}: ${reason}`);
+    this.emit('quarantine', { key, reason, action: 'quarantine' });
+  }
+
+  // Quarantined records by key: { reason, data, quarantinedAt }
+  async getQuarantine() {
+    return await this.quarantineStore().exportAll();
+  }
+
+  async clearQuarantine() {
+    await this.quarantineStore().clear();
+  }
+
+  // Check every record of the namespace. Records that cannot be parsed or
+  // fail their checksum are corrupted; records that pass but cannot be
+  // decoded (e.g. a missing key or compressor) are undecodable. With
+  // `repair: true` both kinds are quarantined.
+  async verify(options = {}) {
+    const report = { checked: 0, valid: 0, corrupted: [], undecodable: [], expired: [], quarantined: [] };
+    const flag = async (kind, key, error, data) => {
+      report[kind].push({ key, reason: error.message });
+      if (options.repair) {
+        await this.quarantine(key, error.message, data);
+        report.quarantined.push(key);
+      }
+    };
+
+    for (const key of await this.runOnLayer('keys')) {
+      report.checked++;
+
+      let record;
+      try {
+        record = await this.getLayerRecord(key);
+      } catch (error) {
+        if (!(error instanceof IntegrityError)) throw error;
+        await flag('corrupted', key, error, error.raw);
+        continue;
+      }
+      // Listed but unreadable: expired, and dropped by the layer
+      if (!record) {
+        report.expired.push(key);
+        continue;
+      }
+
+      try {
+        await this.deserialize(record.value);
+        report.valid++;
+      } catch (error) {
+        await flag(error instanceof IntegrityError ? 'corrupted' : 'undecodable', key, error, record.value);
+      }
+    }
+
+    this.emit('verify', { ...report, action: 'verify' });
+    return report;
+  }
+
+  // Delete expired records in batches and emit `expire` for each. Layers with
+  // purgeExpired() find them natively (IndexedDB through its ttl index);
+  // for other layers every key is read, which drops expired records.
+  async purgeExpired(options = {}) {
+    const batchSize = options.batchSize || this.sweepBatchSize;
+    const purged = [];
+    const expire = (key) => {
+      purged.push(key);
+      this.cache.delete(key);
+      this.trackEntry(key, null);
+      this.emit('expire', { key, action: 'expire' });
+    };
+
+    if (typeof this.currentLayer.purgeExpired === 'function') {
+      for (;;) {
+        const batch = await this.runOnLayer('purgeExpired', batchSize);
+        batch.forEach(expire);
+        if (batch.length < batchSize) break;
+      }
+      return purged;
+    }
+
+    for (const key of await this.runOnLayer('keys')) {
+      const record = await this.getLayerRecord(key).catch(error => {
+        // Corrupted records are left for verify()
+        if (error instanceof IntegrityError) return undefined;
+        throw error;
+      });
+      if (record === null) {
+        // Also drops copies in faster tiers
+        await this.runOnLayer('remove', key);
+        expire(key);
+      }
+    }
+    return purged;
+  }
+
+  // Run purgeExpired() every `interval` ms until stopSweeper(). The next
+  // sweep is scheduled when the previous one finishes, so sweeps never overlap.
+  startSweeper(interval = 60000) {
+    this.stopSweeper();
+    const sweep = () => {
+      const timer = setTimeout(async () => {
+        try {
+          await this.purgeExpired();
+        } catch (error) {
+          this.metrics.errors.push(error);
+          this.log('error', `Expiry sweep failed: ${error.message}`);
+        }
+        if (this.sweepTimer === timer) sweep();
+      }, interval);
+      if (timer.unref) timer.unref();
+      this.sweepTimer = timer;
+    };
+    sweep();
+  }
+
+  stopSweeper() {
+    clearTimeout(this.sweepTimer);
+    this.sweepTimer = null;
+  }
+
+  // Entry stats of every record in the namespace
+  async scanEntries() {
+    const index = new Map();
+    for (const key of await this.runOnLayer('keys')) {
+      const record = await this.getLayerRecord(key).catch(error => {
+        // Corrupted records are left for verify()
+        if (error instanceof IntegrityError) return null;
+        throw error;
+      });
+      if (record) index.set(key, this.toEntry(key, record));
+    }
+    return index;
+  }
+
+  // Entry stats of a bounded namespace, read from the records the first
+  // time they are needed and kept up to date by this instance's writes.
+  // Other namespaces do not track their writes and are scanned each time.
+  async loadEntryIndex() {
+    if (!this.bounded) return await this.scanEntries();
+    if (!this.entryIndex) {
+      const index = await this.scanEntries();
+      // Writes made while loading are tracked in the new index
+      if (!this.entryIndex) this.entryIndex = index;
+    }
+    return this.entryIndex;
+  }
+
+  toEntry(key, record) {
+    const updatedAt = record.updatedAt || record.createdAt || 0;
+    return {
+      key,
+      size: storedSize(record.value),
+      createdAt: record.createdAt || updatedAt,
+      updatedAt,
+      accessedAt: record.accessedAt || updatedAt,
+      hits: record.hits || 0,
+      ttl: record.ttl || null
+    };
+  }
+
+  // Update the entry index after a write, or a removal when `record` is null
+  trackEntry(key, record) {
+    if (!this.entryIndex) return;
+    if (record) this.entryIndex.set(key, this.toEntry(key, record));
+    else this.entryIndex.delete(key);
+  }
+
+  // Entries in the order they are evicted: expired entries first, then by
+  // the eviction policy. Keys in `keep` are never evicted.
+  evictionOrder(index, keep = []) {
+    const now = Date.now();
+    const expired = (entry) => !!(entry.ttl && now > entry.ttl);
+    return Array.from(index.values())
+      .filter(entry => !keep.includes(entry.key))
+      .sort((a, b) => (expired(b) - expired(a)) || this.evictionPolicy(a, b));
+  }
+
+  async evictEntry(index, entry) {
+    await this.runOnLayer('remove', entry.key);
+    index.delete(entry.key);
+    this.cache.delete(entry.key);
+    this.metrics.evictions++;
+    this.emit('evict', { key: entry.key, size: entry.size, action: 'evict' });
+  }
+
+  // Evict entries in policy order until the namespace fits `maxEntries` and
+  // `maxBytes`. The entries just written, `keep`, are kept.
+  async enforceLimits(keep = []) {
+    if (!this.bounded) return;
+    const index = await this.loadEntryIndex();
+    let bytes = 0;
+    index.forEach(entry => { bytes += entry.size; });
+    const fits = () => index.size <= this.maxEntries && bytes <= this.maxBytes;
+    if (fits()) return;
+
+    for (const entry of this.evictionOrder(index, keep)) {
+      if (fits()) break;
+      await this.evictEntry(index, entry);
+      bytes -= entry.size;
+    }
+  }
+
+  // Make room for a write that exceeded the quota by evicting at least one
+  // entry and at least as many bytes as were written. Returns false when
+  // nothing is left to evict.
+  async evictForQuota(error, keep = []) {
+    const index = await this.loadEntryIndex();
+    const candidates = this.evictionOrder(index, keep);
+    if (candidates.length === 0) return false;
+
+    let freed = 0;
+    for (const entry of candidates) {
+      await this.evictEntry(index, entry);
+      freed += entry.size;
+      if (freed >= (error.size || 0)) break;
+    }
+    return true;
+  }
+
+  // Storage used by this namespace, from the library's own accounting, next
+  // to the origin's usage and quota from navigator.storage.estimate()
+  // (null where the browser does not report them)
+  async estimateUsage() {
+    const index = await this.loadEntryIndex();
+    let bytes = 0;
+    index.forEach(entry => { bytes += entry.size; });
+
+    let usage = null;
+    let quota = null;
+    if (typeof navigator !== 'undefined' && navigator.storage &&
+        typeof navigator.storage.estimate === 'function') {
+      try {
+        ({ usage = null, quota = null } = await navigator.storage.estimate());
+      } catch (error) {
+        this.log('warn', `Could not estimate storage: ${error.message}`);
       }
     }
 
-    if (!this.currentLayer) {
-      this.currentLayer = this.layers[this.layers.length - 1]; // Memory fallback
+    return {
+      namespace: this.namespace,
+      layer: this.layerName(this.currentLayer),
+      entries: index.size,
+      bytes,
+      maxEntries: this.maxEntries,
+      maxBytes: this.maxBytes,
+      usage,
+      quota,
+      available: usage !== null && quota !== null ? Math.max(0, quota - usage) : null
+    };
+  }
+
+  // Run `fn` while holding the lock `name`, so read-modify-write sequences
+  // in other tabs (or other instances in this process) wait for it. Lock
+  // names are scoped to the namespace. The read cache is cleared once the
+  // lock is held, as other tabs may have written while this one waited.
+  // Resolves with what `fn` returns.
+  async withLock(name, fn, options = {}) {
+    const mode = options.mode || 'exclusive';
+    if (mode !== 'exclusive' && mode !== 'shared') {
+      throw new StorageError(`Unknown lock mode: ${mode}`, 'INVALID_LOCK_MODE');
+    }
+    const timeout = typeof options.timeout === 'number' ? options.timeout : Infinity;
+
+    try {
+      return await this.locks.request(`${this.namespace}:${name}`, { mode, timeout }, () => {
+        this.cache.clear();
+        return fn();
+      });
+    } catch (error) {
+      if (error.code === 'LOCK_TIMEOUT' && !(error instanceof StorageError)) {
+        throw new LockTimeoutError(name, timeout);
+      }
+      throw error;
     }
   }
 
@@ -212,16 +1131,28 @@ class LocalStorageAPI extends EventEmitter {
   supports() {
     const result = {
       indexedDB: false,
+      opfs: false,
       localStorage: false,
+      sessionStorage: false,
+      cookie: false,
+      remote: false,
       memory: false,
+      fileSystem: false,
+      journal: false,
       current: this.currentLayer.constructor.name
     };
 
     this.layers.forEach(layer => {
       const name = layer.constructor.name.toLowerCase();
       if (name.includes('indexeddb')) result.indexedDB = layer.supports();
+      else if (name.includes('opfs')) result.opfs = layer.supports();
       else if (name.includes('localstorage')) result.localStorage = layer.supports();
+      else if (name.includes('sessionstorage')) result.sessionStorage = layer.supports();
+      else if (name.includes('cookie')) result.cookie = layer.supports();
+      else if (name.includes('remote')) result.remote = layer.supports();
       else if (name.includes('memory')) result.memory = layer.supports();
+      else if (name.includes('filesystem')) result.fileSystem = layer.supports();
+      else if (name.includes('writeaheadlog')) result.journal = layer.supports();
     });
 
     return result;
@@ -229,13 +1160,20 @@ class LocalStorageAPI extends EventEmitter {
 
   // Advanced API implementation
   async set(key, value, options = {}) {
+    await this.writeValue(key, value, options, false);
+  }
+
+  // set() for callers that may already hold the key's version lock
+  // (`keyLocked`), like setIf() and update(). Resolves with the value that
+  // was stored, after the beforeSet hook, or null when the hook cancelled it.
+  async writeValue(key, value, options, keyLocked) {
     const startTime = Date.now();
 
     try {
       // Hooks
       if (this.hooks.beforeSet) {
         const result = await this.hooks.beforeSet(key, value, options);
-        if (result === false) return;
+        if (result === false) return null;
         if (result !== undefined) value = result;
       }
 
@@ -248,18 +1186,36 @@ class LocalStorageAPI extends EventEmitter {
       // Serialize
       const serialized = await this.serialize(value, options);
 
-      // Store
-      await this.currentLayer.set(key, serialized, options.ttl);
+      // Store; records with an expiry, or in a bounded namespace, are written
+      // whole to keep their expiry settings and access stats. The previous
+      // version is read and continued under the key's lock, so concurrent
+      // writers never store the same version.
+      const expiry = this.expiryOf(options);
+      if (expiry || this.bounded) {
+        const store = async () => {
+          const previous = await this.getLayerRecord(key).catch(() => null);
+          const record = this.createRecord(key, serialized, expiry, previous);
+          await this.putLayerRecord(key, record);
+          return record;
+        };
+        const record = keyLocked ? await store() : await this.withKeyLock(key, store);
+        this.trackEntry(key, record);
+        await this.enforceLimits([key]);
+      } else {
+        await this.runOnLayer('set', key, serialized);
+      }
 
-      // Update cache
-      this.cache.set(key, { value, timestamp: Date.now() });
+      // Update cache; sliding records are read from the layer to renew them
+      if (!this.tiers && !(expiry && expiry.sliding)) {
+        this.cache.set(key, value, expiry ? expiry.ttl : null);
+      }
 
       // Audit log
       this.auditLog.push({
         action: 'set',
         key,
         timestamp: Date.now(),
-        size: JSON.stringify(value).length
+        size: JSON.stringify(codec.encode(value)).length
       });
 
       // History for undo
@@ -284,7 +1240,7 @@ class LocalStorageAPI extends EventEmitter {
       if (this.hooks.afterSet) {
         await this.hooks.afterSet(key, value, options);
       }
-
+      return value;
     } catch (error) {
       this.metrics.errors.push(error);
       this.emit('error', { action: 'set', key, error });
@@ -292,29 +1248,55 @@ class LocalStorageAPI extends EventEmitter {
     }
   }
 
+  // A record for a value written now, with its expiry, the version after
+  // the `previous` record's and, in a bounded namespace, the access stats of
+  // the entry it replaces
+  createRecord(key, serialized, expiry = null, previous = null) {
+    const now = Date.now();
+    const record = {
+      value: serialized,
+      createdAt: now,
+      updatedAt: now,
+      version: codec.nextVersion(previous),
+      ttl: null,
+      ...expiry
+    };
+    if (this.bounded) {
+      const indexed = this.entryIndex && this.entryIndex.get(key);
+      Object.assign(record, { accessedAt: now, hits: indexed ? indexed.hits : 0 });
+    }
+    return record;
+  }
+
   async get(key) {
     const startTime = Date.now();
 
     try {
-      // Check cache
-      const cached = this.cache.get(key);
-      if (cached && (Date.now() - cached.timestamp) < (this.cacheTTL || 300000)) {
+      // Check cache; stale values are served while they are refreshed
+      const cached = !this.tiers && this.cache.lookup(key);
+      if (cached) {
+        const entry = this.entryIndex && this.entryIndex.get(key);
+        if (entry) {
+          entry.accessedAt = Date.now();
+          entry.hits++;
+        }
+        if (cached.stale) this.revalidate(key);
         this.metrics.reads++;
         return cached.value;
       }
 
-      const serialized = await this.currentLayer.get(key);
-      if (!serialized) return null;
-
-      const value = await this.deserialize(serialized);
+      const result = await this.readFromLayer(key);
+      if (!result) return null;
 
-      // Update cache
-      this.cache.set(key, { value, timestamp: Date.now() });
+      // Update cache; sliding records are read from the layer to renew them
+      if (!this.tiers && !result.record.sliding) {
+        this.cache.set(key, result.value, result.record.ttl || null);
+      }
 
       this.metrics.reads++;
       this.metrics.readLatency.push(Date.now() - startTime);
 
-      return value;
+      return result.value;
 
     } catch (error) {
       this.metrics.errors.push(error);
@@ -323,6 +1305,190 @@ class LocalStorageAPI extends EventEmitter {
     }
   }
 
+  // Read and decode a record from the layer as `{ value, record }`, or null.
+  // Sliding expiry restarts, and bounded namespaces count the access for
+  // eviction unless `countAccess` is false. Corrupted records are quarantined.
+  async readFromLayer(key, countAccess = true) {
+    let serialized;
+    try {
+      const record = await this.getLayerRecord(key);
+      serialized = record && record.value;
+      if (!serialized) return null;
+
+      const value = await this.deserialize(serialized);
+
+      const updates = {};
+      if (record.sliding && record.lifetime) {
+        updates.ttl = Date.now() + record.lifetime * 1000;
+      }
+      if (this.bounded && countAccess) {
+        const entry = this.entryIndex && this.entryIndex.get(key);
+        updates.accessedAt = Date.now();
+        updates.hits = Math.max(record.hits || 0, entry ? entry.hits : 0) + 1;
+      }
+      if (Object.keys(updates).length > 0) {
+        await this.putLayerRecord(key, { ...record, ...updates });
+        this.trackEntry(key, { ...record, ...updates });
+      }
+
+      return { value, record: { ...record, ...updates } };
+
+    } catch (error) {
+      if (error instanceof IntegrityError) {
+        error.key = key;
+        await this.quarantine(key, error.message, serialized || error.raw)
+          .catch(e => this.log('error', `Could not quarantine ${key}: ${e.message}`));
+      }
+      throw error;
+    }
+  }
+
+  // Refresh a stale cache entry in the background. The refreshed value is
+  // only cached if the key was not written or invalidated meanwhile.
+  revalidate(key) {
+    const stale = this.cache.peek(key);
+    return this.cache.revalidate(key, async () => {
+      try {
+        const result = await this.readFromLayer(key, false);
+        if (this.cache.peek(key) !== stale) return;
+        if (result) this.cache.set(key, result.value, result.record.ttl || null);
+        else this.cache.delete(key);
+      } catch (error) {
+        this.cache.delete(key);
+        this.metrics.errors.push(error);
+        this.log('error', `Could not refresh ${key}: ${error.message}`);
+      }
+    });
+  }
+
+  // The value and metadata of a key read from the layer, bypassing the read
+  // cache, as `{ value, version, createdAt, updatedAt }`; null when missing.
+  // Use its version with setIf() to detect writes made in the meantime.
+  async getEntry(key) {
+    const result = await this.readFromLayer(key);
+    if (!result) return null;
+    if (!this.tiers && !result.record.sliding) {
+      this.cache.set(key, result.value, result.record.ttl || null);
+    }
+    const { version, createdAt, updatedAt } = result.record;
+    return { value: result.value, version: version || 1, createdAt, updatedAt };
+  }
+
+  // The version of a key, increased on every write; null when missing
+  async getVersion(key) {
+    const record = await this.getLayerRecord(key);
+    return record ? record.version || 1 : null;
+  }
+
+  // Write `value` only if the key is still at `options.ifVersion`, or still
+  // missing when it is null. Otherwise rejects with ConflictError. Checks and
+  // writes for a key are serialized across tabs. Resolves with the new
+  // version.
+  async setIf(key, value, options = {}) {
+    const { ifVersion, ...setOptions } = options;
+    if (ifVersion !== null && !(Number.isInteger(ifVersion) && ifVersion > 0)) {
+      throw new StorageError('ifVersion must be a version number or null', 'INVALID_VERSION');
+    }
+
+    return await this.withKeyLock(key, async () => {
+      const version = await this.getVersion(key);
+      if (version !== ifVersion) throw new ConflictError(key, ifVersion, version);
+      await this.writeValue(key, value, setOptions, true);
+      return await this.getVersion(key);
+    });
+  }
+
+  // setIf() with the expected version first
+  async compareAndSet(key, expectedVersion, value, options = {}) {
+    return await this.setIf(key, value, { ...options, ifVersion: expectedVersion });
+  }
+
+  // Serializes checked writes of a key across tabs. Unlike withLock(), the
+  // read cache is kept: the value is read from the layer under the lock.
+  async withKeyLock(key, fn) {
+    return await this.locks.request(`${this.namespace}:version:${key}`, {}, fn);
+  }
+
+  // withKeyLock() for several keys, taken in sorted order so two writers of
+  // overlapping keys cannot wait for each other
+  async withKeyLocks(keys, fn) {
+    const [key, ...rest] = Array.from(new Set(keys)).sort();
+    if (key === undefined) return await fn();
+    return await this.withKeyLock(key, () => this.withKeyLocks(rest, fn));
+  }
+
+  // Replace a key's value with `fn(current)`, where `current` is null for a
+  // missing key, under the key's lock so concurrent updates in this or other
+  // tabs are not lost. The write goes through set(), with its hooks and one
+  // change event; the key keeps its expiry unless `options` set a new one.
+  // Resolves with the stored value, which the beforeSet hook may have
+  // changed, or null when the hook cancelled the write.
+  async update(key, fn, options = {}) {
+    return await this.withKeyLock(key, async () => {
+      const current = await this.readFromLayer(key, false);
+      const value = await fn(current ? current.value : null);
+
+      const expiry = options.ttl !== undefined || options.expireAt !== undefined ?
+        {} : this.expiryOptionsOf(current && current.record);
+      return await this.writeValue(key, value, { ...expiry, ...options }, true);
+    });
+  }
+
+  // set() options that keep a record's expiry when it is written again
+  expiryOptionsOf(record) {
+    if (!record || !record.ttl) return {};
+    if (record.sliding && record.lifetime) return { ttl: record.lifetime, sliding: true };
+    return { expireAt: record.ttl };
+  }
+
+  // Add `by` to a number, starting from 0 for a missing key
+  async increment(key, by = 1, options = {}) {
+    if (typeof by !== 'number' || !isFinite(by)) {
+      throw new StorageError('increment() needs a finite number', 'INVALID_TYPE');
+    }
+    return await this.update(key, (current) => {
+      if (current !== null && typeof current !== 'number') {
+        throw new StorageError(`Cannot increment ${key}: it is not a number`, 'INVALID_TYPE');
+      }
+      return (current || 0) + by;
+    }, options);
+  }
+
+  // Add items to the end of an array, starting from [] for a missing key
+  async append(key, items, options = {}) {
+    if (!Array.isArray(items)) {
+      throw new StorageError('append() needs an array of items', 'INVALID_TYPE');
+    }
+    return await this.update(key, (current) => {
+      if (current !== null && !Array.isArray(current)) {
+        throw new StorageError(`Cannot append to ${key}: it is not an array`, 'INVALID_TYPE');
+      }
+      return [...(current || []), ...items];
+    }, options);
+  }
+
+  // Apply `patch` to an object with JSON Merge Patch semantics: null members
+  // remove keys and nested objects are merged
+  async merge(key, patch, options = {}) {
+    return await this.update(key, (current) => applyMergePatch(current, patch), options);
+  }
+
+  // Flip a boolean, starting from false for a missing key
+  async toggle(key, options = {}) {
+    return await this.update(key, (current) => {
+      if (current !== null && typeof current !== 'boolean') {
+        throw new StorageError(`Cannot toggle ${key}: it is not a boolean`, 'INVALID_TYPE');
+      }
+      return !current;
+    }, options);
+  }
+
+  // Drop `keyOrPrefix` and every key starting with it from the read cache,
+  // or the whole cache without an argument. Returns the number dropped.
+  invalidate(keyOrPrefix) {
+    return this.cache.invalidate(keyOrPrefix);
+  }
+
   async remove(key) {
     try {
       if (this.hooks.beforeDelete) {
@@ -330,11 +1496,12 @@ class LocalStorageAPI extends EventEmitter {
         if (result === false) return;
       }
 
-      const oldValue = await this.get(key);
-      await this.currentLayer.remove(key);
+      const oldValue = await this.replacedValue(key);
+      await this.runOnLayer('remove', key);
 
       // Update cache
       this.cache.delete(key);
+      this.trackEntry(key, null);
 
       // Audit log
       this.auditLog.push({
@@ -375,10 +1542,11 @@ class LocalStorageAPI extends EventEmitter {
         if (result === false) return;
       }
 
-      await this.currentLayer.clear();
+      await this.runOnLayer('clear');
 
       // Clear cache
       this.cache.clear();
+      this.entryIndex = null;
 
       // Audit log
       this.auditLog.push({
@@ -404,20 +1572,75 @@ class LocalStorageAPI extends EventEmitter {
     }
   }
 
+  // Corrupted records count as missing; get() and verify() report them
   async has(key) {
-    return await this.currentLayer.has(key);
+    try {
+      return await this.runOnLayer('has', key);
+    } catch (error) {
+      if (error instanceof IntegrityError) return false;
+      throw error;
+    }
+  }
+
+  // The value a delete or transaction replaces, for the undo history. A
+  // record that cannot be read has none, and is not quarantined, as it is
+  // about to be replaced.
+  async replacedValue(key) {
+    try {
+      const record = await this.getLayerRecord(key);
+      return record && record.value ? await this.deserialize(record.value) : null;
+    } catch (error) {
+      if (error instanceof IntegrityError || error instanceof SerializationError) return null;
+      throw error;
+    }
   }
 
   async size() {
-    return await this.currentLayer.size();
+    return await this.runOnLayer('size');
   }
 
   async keys() {
-    return await this.currentLayer.keys();
+    return await this.runOnLayer('keys');
+  }
+
+  // Restart a key's expiry, `ttl` seconds from now or with the TTL it was
+  // written with. Returns false when the key does not exist.
+  async touch(key, ttl) {
+    const record = await this.getLayerRecord(key);
+    if (!record) return false;
+
+    const lifetime = ttl || record.lifetime;
+    if (lifetime) {
+      const touched = { ...record, ttl: Date.now() + lifetime * 1000, lifetime };
+      await this.putLayerRecord(key, touched);
+      this.cache.delete(key);
+      this.trackEntry(key, touched);
+    }
+    return true;
+  }
+
+  // Remaining lifetime in seconds; Infinity without an expiry and null when
+  // the key does not exist
+  async ttl(key) {
+    const record = await this.getLayerRecord(key);
+    if (!record) return null;
+    return record.ttl ? Math.max(0, (record.ttl - Date.now()) / 1000) : Infinity;
+  }
+
+  // Remove a key's expiry. Returns false when the key does not exist.
+  async persist(key) {
+    const record = await this.getLayerRecord(key);
+    if (!record) return false;
+
+    const persisted = { ...record, ttl: null, lifetime: null, sliding: false };
+    await this.putLayerRecord(key, persisted);
+    this.cache.delete(key);
+    this.trackEntry(key, persisted);
+    return true;
   }
 
   async exportAll() {
-    const data = await this.currentLayer.exportAll();
+    const data = await this.runOnLayer('exportAll');
     const deserialized = {};
     for (const [key, value] of Object.entries(data)) {
       deserialized[key] = await this.deserialize(value);
@@ -431,97 +1654,265 @@ class LocalStorageAPI extends EventEmitter {
     for (const [key, value] of Object.entries(data)) {
       serialized[key] = await this.serialize(value);
     }
-    await this.currentLayer.importAll(serialized);
+    await this.runOnLayer('importAll', serialized);
+    this.entryIndex = null;
+    await this.enforceLimits();
     this.emit('import', { action: 'import' });
   }
 
   // Serialization with compression
   async serialize(value, options = {}) {
     const strategy = options.serialization || this.profile.serialization;
-    const compression = options.compression || this.profile.compression;
-
-    let data = value;
-
-    // Handle special types
-    if (value instanceof Map) {
-      data = { __type: 'Map', value: Array.from(value.entries()) };
-    } else if (value instanceof Set) {
-      data = { __type: 'Set', value: Array.from(value) };
-    } else if (value instanceof Date) {
-      data = { __type: 'Date', value: value.toISOString() };
-    } else if (value instanceof Blob) {
+
+    let data;
+
+    // Convert nested Maps, Sets, Dates, typed arrays, references etc. into a
+    // tree every serializer can handle
+    if (typeof Blob !== 'undefined' && value instanceof Blob) {
       data = await new Promise((resolve) => {
         const reader = new FileReader();
         reader.onload = () => resolve({ __type: 'Blob', value: reader.result, type: value.type });
         reader.readAsDataURL(value);
       });
+    } else {
+      data = codec.encode(value);
     }
 
     // Serialize
     const serializer = SerializationStrategies[strategy];
     if (!serializer) throw new SerializationError(`Unknown serialization strategy: ${strategy}`);
 
-    let serialized = serializer.serialize(data);
+    let serialized = await serializer.serialize(data);
+    const binary = codec.isBinary(serialized);
 
-    // Compress
-    const compressor = CompressionEngines[compression];
-    if (compressor) {
-      serialized = compressor.compress(serialized);
+    // Compress, with the engine picked per value in adaptive mode
+    const input = binary ? codec.toBytes(serialized) : serialized;
+    let compression = options.compression || (this.profile.adaptive ? null : this.profile.compression);
+    if (compression) {
+      serialized = await this.compress(compression, input);
+    } else {
+      ({ compression, data: serialized } = await this.compressAdaptive(input));
     }
-
-    // Encrypt
-    if (this.encryption && this.encryption.preWriteEncrypt) {
+    this.recordCompression(compression, input, serialized);
+
+    // Encrypt; `e` is 'aes-gcm' for built-in encryption and true for hooks
+    let encrypted = false;
+    if (this.cipher) {
+      await this.useNamespaceSalt();
+      serialized = await this.cipher.encrypt(serialized);
+      encrypted = 'aes-gcm';
+    } else if (this.encryption && this.encryption.preWriteEncrypt) {
       serialized = await this.encryption.preWriteEncrypt(serialized);
+      encrypted = true;
+    }
+
+    // Binary payloads are stored as ArrayBuffers, which IndexedDB keeps
+    // natively and text-based layers write as base64
+    const envelope = {
+      $lsa: ENVELOPE_FORMAT,
+      s: strategy,
+      c: compression,
+      e: encrypted,
+      b: binary,
+      v: this.version,
+      d: codec.isBinary(serialized) ? codec.toArrayBuffer(serialized) : serialized
+    };
+    envelope.h = await integrity.createChecksum(envelope, encrypted === 'aes-gcm' ? this.cipher : null);
+    return envelope;
+  }
+
+  // Binary input is handed to text-only engines one char per byte
+  async compress(name, input) {
+    const compressor = CompressionEngines[name];
+    if (!compressor) throw new SerializationError(`Unknown compression engine: ${name}`);
+    if (compressor.available && !compressor.available()) {
+      throw new SerializationError(`Compression engine ${name} is not available in this environment`);
+    }
+    if (typeof input !== 'string' && !compressor.binary) input = codec.bytesToText(input);
+    return await compressor.compress(input);
+  }
+
+  async compressAdaptive(input) {
+    let best = { compression: 'none', data: input };
+    if (payloadSize(input) < (this.profile.compressionThreshold || 0)) return best;
+
+    for (const name of this.profile.adaptiveEngines || Object.keys(CompressionEngines)) {
+      const compressor = CompressionEngines[name];
+      if (!compressor || (compressor.available && !compressor.available())) continue;
+      const data = await this.compress(name, input);
+      if (payloadSize(data) < payloadSize(best.data)) best = { compression: name, data };
+    }
+    return best;
+  }
+
+  recordCompression(name, input, output) {
+    const stats = this.metrics.compression;
+    stats.originalBytes += payloadSize(input);
+    stats.compressedBytes += payloadSize(output);
+    stats.engines[name] = (stats.engines[name] || 0) + 1;
+  }
+
+  // New records share one salt per namespace, kept in `${namespace}.keys`, so
+  // readers derive each key once instead of once per writing instance. An
+  // explicit `encryption.salt` is used as is.
+  async useNamespaceSalt() {
+    if (this.encryption.salt) return;
+    if (!this.namespaceSalt) this.namespaceSalt = this.loadNamespaceSalt(this.cipher.salt);
+    this.cipher.salt = await this.namespaceSalt;
+  }
+
+  async loadNamespaceSalt(salt) {
+    try {
+      const store = this.companionStore('keys');
+      const stored = await store.get('salt');
+      if (typeof stored === 'string') return codec.fromBase64(stored);
+      await store.set('salt', codec.toBase64(salt));
+    } catch (error) {
+      this.log('warn', `Could not store the encryption salt, using one for this instance: ${error.message}`);
     }
+    return salt;
+  }
+
+  // Records name the key they were encrypted with, so data written with a
+  // retired key stays readable. Without a key id the current key is used.
+  async cipherFor(payload) {
+    if (!this.cipher || !payload || !payload.kid) return this.cipher;
+    for (const candidate of [this.cipher, ...this.retiredCiphers]) {
+      if (await this.usesKey(payload, candidate)) return candidate;
+    }
+    return null;
+  }
+
+  // Key ids depend on the salt, so they are compared for the payload's
+  async usesKey(payload, cipher) {
+    return !!payload.kid && (await cipher.keyId(payload)) === payload.kid;
+  }
 
-    return serialized;
+  async decryptPayload(payload) {
+    const cipher = (await this.cipherFor(payload)) || this.cipher;
+    return await cipher.decrypt(payload);
   }
 
+  // HMACs are checked with the key that wrote the record. Without that key
+  // the check is left to decryption, which reports the wrong key.
+  async verifyIntegrity(envelope) {
+    if (this.cipher) this.checkEncrypted(envelope);
+    if (typeof envelope.h !== 'string') return;
+    let cipher = null;
+    if (envelope.h.startsWith('hmac-sha256:')) {
+      cipher = await this.cipherFor(envelope.d);
+      if (!cipher) return;
+    }
+    if (!(await integrity.verifyChecksum(envelope, cipher))) {
+      throw new IntegrityError('Record checksum does not match, the record is corrupted');
+    }
+  }
+
+  // With a built-in key only records it encrypted and signed are trusted, so a
+  // planted plaintext or unsigned record cannot pass for a genuine one.
+  // Records of a CryptoKey carry no HMAC, but AES-GCM authenticates them.
+  checkEncrypted(envelope) {
+    const signed = typeof envelope.h === 'string' &&
+      (envelope.h.startsWith('hmac-sha256:') || (envelope.d && envelope.d.kdf === 'none'));
+    if (envelope.e !== 'aes-gcm' || !signed) {
+      throw new IntegrityError('Record is not encrypted and signed, but encryption is configured');
+    }
+  }
+
+  // Records are decoded with the format named in their envelope, so changing
+  // the profile keeps existing data readable. Records written before
+  // envelopes existed are decoded with the current profile.
   async deserialize(data) {
     if (!data) return data;
 
+    const envelope = isEnvelope(data) ? data : {
+      s: this.profile.serialization,
+      c: this.profile.compression,
+      e: !!(this.encryption && this.encryption.postReadDecrypt),
+      b: codec.isBinary(data),
+      d: data
+    };
+    await this.verifyIntegrity(envelope);
+
+    // Failures inside a codec are reported as SerializationErrors
+    try {
+      return await this.decodeEnvelope(envelope);
+    } catch (error) {
+      if (error instanceof StorageError) throw error;
+      throw new SerializationError(`Failed to decode record: ${error.message}`);
+    }
+  }
+
+  async decodeEnvelope(envelope) {
+    let payload = envelope.d;
+
     // Decrypt
-    if (this.encryption && this.encryption.postReadDecrypt) {
-      data = await this.encryption.postReadDecrypt(data);
+    if (envelope.e === 'aes-gcm') {
+      if (!this.cipher) {
+        throw new DecryptionError('Record is encrypted but no encryption passphrase or key is configured');
+      }
+      try {
+        payload = await this.decryptPayload(payload);
+      } catch (error) {
+        const reason = error.name === 'OperationError' ? 'wrong key or tampered data' : error.message;
+        throw new DecryptionError(`Failed to decrypt record: ${reason}`);
+      }
+    } else if (envelope.e) {
+      if (!this.encryption || !this.encryption.postReadDecrypt) {
+        throw new DecryptionError('Record is encrypted but no postReadDecrypt hook is configured');
+      }
+      payload = await this.encryption.postReadDecrypt(payload);
     }
 
     // Decompress
-    const compressor = CompressionEngines[this.profile.compression];
-    if (compressor) {
-      data = compressor.decompress(data);
+    const compressor = CompressionEngines[envelope.c];
+    if (!compressor) throw new SerializationError(`Unknown compression engine: ${envelope.c}`);
+    if (codec.isBinary(payload)) payload = codec.toBytes(payload);
+    payload = await compressor.decompress(payload);
+
+    // Restore the kind of data the serializer produced
+    if (envelope.b && typeof payload === 'string') {
+      payload = codec.textToBytes(payload);
+    } else if (!envelope.b && codec.isBinary(payload)) {
+      payload = new TextDecoder().decode(codec.toBytes(payload));
     }
 
     // Deserialize
-    const serializer = SerializationStrategies[this.profile.serialization];
-    let parsed = serializer.deserialize(data);
+    const serializer = SerializationStrategies[envelope.s];
+    if (!serializer) throw new SerializationError(`Unknown serialization strategy: ${envelope.s}`);
+    let parsed = await serializer.deserialize(payload);
+
+    // Restore special types
+    if (typeof parsed === 'object' && parsed !== null && parsed.__type === 'Blob') {
+      const blobData = parsed.value.split(',')[1];
+      return new Blob([Uint8Array.from(atob(blobData), c => c.charCodeAt(0))], { type: parsed.type });
+    }
 
-    // Handle special types
-    if (typeof parsed === 'object' && parsed !== null && parsed.__type) {
-      switch (parsed.__type) {
-        case 'Map':
-          parsed = new Map(parsed.value);
-          break;
-        case 'Set':
-          parsed = new Set(parsed.value);
-          break;
-        case 'Date':
-          parsed = new Date(parsed.value);
-          break;
-        case 'Blob':
-          const blobData = parsed.value.split(',')[1];
-          parsed = new Blob([Uint8Array.from(atob(blobData), c => c.charCodeAt(0))], { type: parsed.type });
-          break;
-      }
+    return codec.decode(parsed);
+  }
+
+  // Rewrite the journal of the write-ahead log layer into a minimal snapshot
+  async compact() {
+    if (typeof this.currentLayer.compact === 'function') {
+      await this.currentLayer.compact();
     }
+  }
 
-    return parsed;
+  // Write dirty entries of a write-back tier hierarchy down to the slower tiers
+  async flush() {
+    if (typeof this.currentLayer.flush === 'function') {
+      await this.currentLayer.flush();
+    }
   }
 
   // Batch operations
+  // Writes all items or none of them
   async setMany(items, options = {}) {
-    for (const [key, value] of items) {
-      await this.set(key, value, options);
-    }
+    await this.transaction(async (tx) => {
+      for (const [key, value] of items) {
+        await tx.set(key, value, options);
+      }
+    });
   }
 
   async getMany(keys) {
@@ -532,9 +1923,123 @@ class LocalStorageAPI extends EventEmitter {
     return results;
   }
 
+  // Removes all keys or none of them
   async deleteMany(keys) {
-    for (const key of keys) {
-      await this.remove(key);
+    await this.transaction(async (tx) => {
+      for (const key of keys) {
+        await tx.remove(key);
+      }
+    });
+  }
+
+  // Run `fn(tx)` and commit the writes it staged with tx.set() and
+  // tx.remove(): all of them or, if `fn` or the commit fails, none of them.
+  // Returns what `fn` returns.
+  async transaction(fn) {
+    const tx = new Transaction(this);
+    let result;
+    try {
+      result = await fn(tx);
+    } finally {
+      tx.finished = true;
+    }
+
+    const staged = Array.from(tx.staged.values());
+    if (staged.length === 0) return result;
+    try {
+      // Versions follow the records stored when the transaction commits,
+      // read and written under the keys' locks
+      await this.withKeyLocks(staged.map(({ key }) => key), async () => {
+        for (const { key, record } of staged) {
+          if (record) record.version = codec.nextVersion(await this.getLayerRecord(key).catch(() => null));
+        }
+        await this.commitOnLayer(staged.map(({ key, record }) => ({ key, record })));
+      });
+    } catch (error) {
+      this.metrics.errors.push(error);
+      this.emit('error', { action: 'transaction', keys: staged.map(({ key }) => key), error });
+      throw error;
+    }
+
+    for (const { key, value, record, oldValue, options } of staged) {
+      if (record) await this.afterCommittedSet(key, value, record, oldValue, options);
+      else await this.afterCommittedRemove(key, oldValue);
+    }
+    await this.enforceLimits(staged.filter(({ record }) => record).map(({ key }) => key));
+    return result;
+  }
+
+  // Apply `{ key, record }` writes, with `record` null for removals, all or
+  // none. Layers with commit() apply them atomically; on other layers they
+  // are applied in turn and the records written so far are put back when
+  // one fails.
+  async commitOnLayer(operations) {
+    if (typeof this.currentLayer.commit === 'function') {
+      await this.runOnLayer('commit', operations);
+      return;
+    }
+
+    const applied = [];
+    try {
+      for (const { key, record } of operations) {
+        const previous = await this.getLayerRecord(key).catch(() => null);
+        if (record) await this.putLayerRecord(key, record);
+        else await this.runOnLayer('remove', key);
+        applied.push({ key, record: previous });
+      }
+    } catch (error) {
+      for (const { key, record } of applied.reverse()) {
+        try {
+          if (record) await this.putLayerRecord(key, record);
+          else await this.runOnLayer('remove', key);
+        } catch (e) {
+          this.log('error', `Could not roll back ${key}: ${e.message}`);
+        }
+      }
+      throw error;
+    }
+  }
+
+  // Bookkeeping set() does after a write, for a committed transaction
+  async afterCommittedSet(key, value, record, oldValue, options) {
+    this.trackEntry(key, record);
+    this.cache.delete(key);
+    if (!this.tiers && !record.sliding) this.cache.set(key, value, record.ttl || null);
+
+    this.auditLog.push({
+      action: 'set',
+      key,
+      timestamp: Date.now(),
+      size: JSON.stringify(codec.encode(value)).length
+    });
+    this.operationHistory.push({ type: 'set', key, value, oldValue });
+    this.metrics.writes++;
+
+    if (this.sync) {
+      this.broadcast('set', { key, value });
+    }
+    this.emit('change', { key, value, action: 'set' });
+
+    if (this.hooks.afterSet) {
+      await this.hooks.afterSet(key, value, options);
+    }
+  }
+
+  // Bookkeeping remove() does after a removal, for a committed transaction
+  async afterCommittedRemove(key, oldValue) {
+    this.trackEntry(key, null);
+    this.cache.delete(key);
+
+    this.auditLog.push({ action: 'delete', key, timestamp: Date.now() });
+    this.operationHistory.push({ type: 'delete', key, oldValue });
+
+    if (this.sync) {
+      this.broadcast('delete', { key });
+    }
+    this.emit('delete', { key, action: 'delete' });
+
+    if (this.hooks.afterDelete) {
+      await this.hooks.afterDelete(key);
     }
   }
 
@@ -603,7 +2108,7 @@ class LocalStorageAPI extends EventEmitter {
         diff.added.push(key);
       } else if (!(key in s2.data)) {
         diff.removed.push(key);
-      } else if (JSON.stringify(s1.data[key]) !== JSON.stringify(s2.data[key])) {
+      } else if (JSON.stringify(codec.encode(s1.data[key])) !== JSON.stringify(codec.encode(s2.data[key]))) {
         diff.changed.push(key);
       }
     }
@@ -657,7 +2162,11 @@ class LocalStorageAPI extends EventEmitter {
       avgReadLatency: this.metrics.readLatency.length ?
         this.metrics.readLatency.reduce((a, b) => a + b, 0) / this.metrics.readLatency.length : 0,
       avgWriteLatency: this.metrics.writeLatency.length ?
-        this.metrics.writeLatency.reduce((a, b) => a + b, 0) / this.metrics.writeLatency.length : 0
+        this.metrics.writeLatency.reduce((a, b) => a + b, 0) / this.metrics.writeLatency.length : 0,
+      // Compressed size as a fraction of the original size
+      compressionRatio: this.metrics.compression.originalBytes ?
+        this.metrics.compression.compressedBytes / this.metrics.compression.originalBytes : 1,
+      cache: this.cache.stats()
     };
   }
 
@@ -725,6 +2234,57 @@ class LocalStorageAPI extends EventEmitter {
   }
 }
 
+const isBrowser = () => typeof window !== 'undefined';
+const isNode = () => typeof window === 'undefined';
+
+// Built-in layers. Browser layers before Node.js layers before memory; the
+// remote, cookie, sessionStorage and Node.js layers are opt-in.
+LocalStorageAPI.registerLayer('remote', (namespace, options, storage) =>
+  new RemoteStorage(namespace, { maxRetries: storage.profile.maxRetries, ...options }), {
+  priority: 70,
+  enabled: (options) => !!options.remote
+});
+LocalStorageAPI.registerLayer('cookie', (namespace, options) => new CookieStorage(namespace, options), {
+  priority: 60,
+  enabled: (options) => isBrowser() && !!options.cookie
+});
+LocalStorageAPI.registerLayer('sessionstorage', (namespace) => new SessionStorageStorage(namespace), {
+  priority: 50,
+  enabled: (options) => isBrowser() && !!options.session
+});
+LocalStorageAPI.registerLayer('indexeddb', (namespace) => new IndexedDBStorage(namespace), {
+  priority: 40,
+  enabled: isBrowser
+});
+// OPFS is only preferred over IndexedDB when requested explicitly
+LocalStorageAPI.registerLayer('opfs', (namespace, options) => new OPFSStorage(namespace, options), {
+  priority: (options) => options.opfs ? 45 : 30,
+  enabled: isBrowser
+});
+LocalStorageAPI.registerLayer('localstorage', (namespace) => new LocalStorageStorage(namespace), {
+  priority: 20,
+  enabled: isBrowser
+});
+// The Node.js layers are required when they are created, so loading this
+// module in a browser never requires fs and path
+LocalStorageAPI.registerLayer('journal', (namespace, options) => {
+  const WriteAheadLogStorage = require('./core/wal');
+  return new WriteAheadLogStorage(namespace, options);
+}, {
+  priority: 10,
+  enabled: (options) => isNode() && !!options.journal
+});
+LocalStorageAPI.registerLayer('filesystem', (namespace, options) => {
+  const FileSystemStorage = require('./core/filesystem');
+  return new FileSystemStorage(namespace, options);
+}, {
+  priority: 10,
+  enabled: (options) => isNode() && !!options.directory && !options.journal
+});
+LocalStorageAPI.registerLayer('memory', (namespace) => new MemoryStorage(namespace), {
+  priority: 0
+});
+
 // Factory function for namespaced instances
 function useStore(namespace) {
   return new LocalStorageAPI({ namespace });
@@ -737,5 +2297,9 @@ module.exports = {
   StorageError,
   QuotaExceededError,
   MigrationError,
-  SerializationError
+  SerializationError,
+  DecryptionError,
+  IntegrityError,
+  LockTimeoutError,
+  ConflictError
 };
\ No newline at end of file
@@ -0,0 +1,189 @@
+/**
+ * Tests for the read cache
+ * Created by Ramkrishna Bhatt V, Milagres PU College, Kallianpur, Udupi
+ * License: MIT
+ */
+
+const { ReadCache } = require('../src/cache');
+const MemoryStorage = require('../src/core/memory');
+const { createStorage } = require('./fakes/storage');
+
+describe('ReadCache', () => {
+  let now;
+
+  beforeEach(() => {
+    now = Date.now();
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should serve values until the cache TTL has passed', () => {
+    const cache = new ReadCache({ ttl: 1000 });
+    cache.set('key', 'value');
+
+    expect(cache.lookup('key')).toEqual({ value: 'value', stale: false });
+    now += 1000;
+    expect(cache.lookup('key')).toBeNull();
+    expect(cache.has('key')).toBe(false);
+  });
+
+  test('should not serve values after their record expired', () => {
+    const cache = new ReadCache({ ttl: 60000 });
+    cache.set('key', 'value', now + 500);
+
+    now += 501;
+    expect(cache.lookup('key')).toBeNull();
+  });
+
+  test('should serve stale values within the stale-while-revalidate window', () => {
+    const cache = new ReadCache({ ttl: 1000, staleWhileRevalidate: 5000 });
+    cache.set('key', 'value');
+
+    now += 2000;
+    expect(cache.lookup('key')).toEqual({ value: 'value', stale: true });
+    now += 4000;
+    expect(cache.lookup('key')).toBeNull();
+  });
+
+  test('should drop the least recently used entries beyond maxEntries', () => {
+    const cache = new ReadCache({ maxEntries: 2 });
+    cache.set('a', 1);
+    cache.set('b', 2);
+    cache.lookup('a');
+    cache.set('c', 3);
+
+    expect(Array.from(cache.entries.keys())).toEqual(['a', 'c']);
+  });
+
+  test('should stay within maxBytes', () => {
+    // '"xxx…"' is 102 UTF-16 characters, 204 bytes
+    const cache = new ReadCache({ maxBytes: 500 });
+    cache.set('a', 'x'.repeat(100));
+    cache.set('b', 'x'.repeat(100));
+    cache.set('c', 'x'.repeat(100));
+    cache.set('huge', 'x'.repeat(1000));
+
+    expect(Array.from(cache.entries.keys())).toEqual(['b', 'c']);
+    expect(cache.bytes).toBe(408);
+  });
+
+  test('should invalidate keys by prefix', () => {
+    const cache = new ReadCache();
+    ['user:1', 'user:2', 'users', 'settings'].forEach(key => cache.set(key, key));
+
+    expect(cache.invalidate('user:')).toBe(2);
+    expect(Array.from(cache.entries.keys())).toEqual(['users', 'settings']);
+    expect(cache.invalidate('users')).toBe(1);
+    expect(cache.invalidate()).toBe(1);
+    expect(cache.size).toBe(0);
+  });
+
+  test('should count hits and misses', () => {
+    const cache = new ReadCache();
+    cache.set('key', 'value');
+    cache.lookup('key');
+    cache.lookup('key');
+    cache.lookup('missing');
+
+    expect(cache.stats()).toEqual(expect.objectContaining({ hits: 2, misses: 1, hitRate: 2 / 3 }));
+  });
+
+  test('should be disabled with a TTL of 0', () => {
+    const cache = new ReadCache({ ttl: 0 });
+    cache.set('key', 'value');
+
+    expect(cache.size).toBe(0);
+  });
+});
+
+describe('Read cache in LocalStorageAPI', () => {
+  let now;
+  let layer;
+
+  beforeEach(() => {
+    now = Date.now();
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    layer = new MemoryStorage('app');
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should use the cacheTTL option', async () => {
+    const storage = createStorage({ layers: [layer], cacheTTL: 1000 });
+    await storage.set('key', 'old');
+    await createStorage({ layers: [layer] }).set('key', 'new');
+
+    expect(await storage.get('key')).toBe('old');
+    now += 1000;
+    expect(await storage.get('key')).toBe('new');
+  });
+
+  test('should refresh stale values in the background', async () => {
+    const storage = createStorage({ layers: [layer], cacheTTL: 1000, staleWhileRevalidate: 60000 });
+    await storage.set('key', 'old');
+    await createStorage({ layers: [layer] }).set('key', 'new');
+    now += 2000;
+
+    expect(await storage.get('key')).toBe('old');
+    await Promise.all(storage.cache.refreshing.values());
+    expect(storage.cache.peek('key').value).toBe('new');
+    expect(await storage.get('key')).toBe('new');
+    expect(storage.getMetrics().cache.staleHits).toBe(1);
+  });
+
+  test('should not let a refresh overwrite a newer write', async () => {
+    const storage = createStorage({ layers: [layer], cacheTTL: 1000, staleWhileRevalidate: 60000 });
+    await storage.set('key', 'first');
+    now += 2000;
+
+    expect(await storage.get('key')).toBe('first');
+    const refresh = storage.cache.refreshing.get('key');
+    await storage.set('key', 'second');
+    await refresh;
+    expect(await storage.get('key')).toBe('second');
+  });
+
+  test('should drop stale values that were deleted from the layer', async () => {
+    const storage = createStorage({ layers: [layer], cacheTTL: 1000, staleWhileRevalidate: 60000 });
+    await storage.set('key', 'value');
+    await layer.remove('key');
+    now += 2000;
+
+    expect(await storage.get('key')).toBe('value');
+    await Promise.all(storage.cache.refreshing.values());
+    expect(storage.cache.has('key')).toBe(false);
+  });
+
+  test('should bound the cache', async () => {
+    const storage = createStorage({ layers: [layer], cacheMaxEntries: 2 });
+    for (const key of ['a', 'b', 'c']) await storage.set(key, key);
+
+    expect(storage.cache.size).toBe(2);
+    expect(storage.cache.has('a')).toBe(false);
+  });
+
+  test('should invalidate cached keys', async () => {
+    const storage = createStorage({ layers: [layer] });
+    await storage.set('user:1', 'ann');
+    await storage.set('user:2', 'bob');
+    await createStorage({ layers: [layer] }).set('user:1', 'cat');
+
+    expect(storage.invalidate('user:')).toBe(2);
+    expect(await storage.get('user:1')).toBe('cat');
+  });
+
+  test('should report hits and misses in getMetrics()', async () => {
+    const storage = createStorage({ layers: [layer] });
+    await storage.get('missing');
+    await createStorage({ layers: [layer] }).set('key', 'value');
+    await storage.get('key');
+    await storage.get('key');
+
+    expect(storage.getMetrics().cache).toEqual(expect.objectContaining({ hits: 1, misses: 2, entries: 1 }));
+  });
+});
@@ -0,0 +1,115 @@
+/**
+ * Tests for the structured type codec
+ * Created by Ramkrishna Bhatt V, Milagres PU College, Kallianpur, Udupi
+ * License: MIT
+ */
+
+const { LocalStorageAPI, SerializationError } = require('../src/main');
+const codec = require('../src/codec');
+
+const roundTrip = (value) => codec.decode(JSON.parse(JSON.stringify(codec.encode(value))));
+
+class Money {
+  constructor(amount, currency) {
+    this.amount = amount;
+    this.currency = currency;
+  }
+
+  toString() {
+    return `${this.amount} ${this.currency}`;
+  }
+}
+
+describe('Structured type codec', () => {
+  test('should round-trip nested collections and dates', () => {
+    const value = {
+      map: new Map([['a', new Set([1, 2])], [{ k: 1 }, new Date(0)]]),
+      list: [new Map(), { when: new Date('2024-01-02T03:04:05.000Z') }]
+    };
+    expect(roundTrip(value)).toEqual(value);
+  });
+
+  test('should round-trip BigInt, RegExp, URL and undefined', () => {
+    const value = { big: 2n ** 70n, pattern: /a+b/gi, link: new URL('https://example.com/a?b=1'), missing: undefined, list: [undefined, 1] };
+    const result = roundTrip(value);
+
+    expect(result.big).toBe(2n ** 70n);
+    expect(result.pattern).toEqual(/a+b/gi);
+    expect(result.link.href).toBe('https://example.com/a?b=1');
+    expect('missing' in result).toBe(true);
+    expect(result.missing).toBeUndefined();
+    expect(result.list).toEqual([undefined, 1]);
+  });
+
+  test('should round-trip typed arrays and ArrayBuffers', () => {
+    const floats = new Float64Array([1.5, -2.25, Math.PI]);
+    const view = new Uint8Array([1, 2, 3, 4, 5]).subarray(1, 4);
+    const result = roundTrip({ floats, view, buffer: new Uint16Array([65535, 1]).buffer, big: new BigInt64Array([-1n]) });
+
+    expect(result.floats).toBeInstanceOf(Float64Array);
+    expect(Array.from(result.floats)).toEqual([1.5, -2.25, Math.PI]);
+    expect(Array.from(result.view)).toEqual([2, 3, 4]);
+    expect(Array.from(new Uint16Array(result.buffer))).toEqual([65535, 1]);
+    expect(result.big[0]).toBe(-1n);
+  });
+
+  test('should round-trip errors', () => {
+    const error = new TypeError('bad input');
+    const result = roundTrip({ error });
+
+    expect(result.error).toBeInstanceOf(TypeError);
+    expect(result.error.message).toBe('bad input');
+    expect(result.error.stack).toBe(error.stack);
+  });
+
+  test('should keep shared and circular references', () => {
+    const shared = { id: 1 };
+    const node = { name: 'root', children: [shared, shared] };
+    node.self = node;
+    node.children.push(new Map([['parent', node]]));
+    const result = roundTrip(node);
+
+    expect(result.self).toBe(result);
+    expect(result.children[0]).toBe(result.children[1]);
+    expect(result.children[2].get('parent')).toBe(result);
+  });
+
+  test('should escape plain objects with a __type key', () => {
+    const value = { __type: 'Map', value: [] };
+    expect(roundTrip(value)).toEqual(value);
+  });
+
+  test('should revive registered classes', () => {
+    codec.registerType('Money', Money);
+    const result = roundTrip({ price: new Money(5, 'EUR'), prices: new Map([['x', new Money(1, 'USD')]]) });
+
+    expect(result.price).toBeInstanceOf(Money);
+    expect(String(result.price)).toBe('5 EUR');
+    expect(result.prices.get('x').currency).toBe('USD');
+  });
+});
+
+describe('Structured types in LocalStorageAPI', () => {
+  test('should store nested types without relying on the cache', async () => {
+    const storage = new LocalStorageAPI({ profile: 'low-memory' });
+    const value = { tags: new Set(['a']), meta: new Map([['created', new Date(0)]]), count: 10n };
+    await storage.set('item', value);
+    storage.cache.clear();
+
+    expect(await storage.get('item')).toEqual(value);
+  });
+
+  test('should revive types registered with registerType', async () => {
+    LocalStorageAPI.registerType('Point', {
+      is: (value) => Array.isArray(value.coords) && value.kind === 'point',
+      encode: (value) => value.coords,
+      decode: (coords) => ({ kind: 'point', coords, revived: true })
+    });
+    const storage = new LocalStorageAPI();
+    await storage.set('p', { kind: 'point', coords: [1, 2] });
+    storage.cache.clear();
+
+    expect(await storage.get('p')).toEqual({ kind: 'point', coords: [1, 2], revived: true });
+    expect(() => LocalStorageAPI.registerType('Broken', { is: () => true })).toThrow(SerializationError);
+  });
+});
@@ -0,0 +1,79 @@
+/**
+ * Tests for compression engines and adaptive compression
+ * Created by Ramkrishna Bhatt V, Milagres PU College, Kallianpur, Udupi
+ * License: MIT
+ */
+
+const { LocalStorageAPI, SerializationError } = require('../src/main');
+const MemoryStorage = require('../src/core/memory');
+const { createStorage } = require('./fakes/storage');
+
+// Jest's vm context lacks the Symbol.dispose Node adds to the main realm,
+// which @msgpack/msgpack relies on
+if (!Symbol.dispose) Symbol.dispose = Symbol.for('nodejs.dispose');
+
+const repetitive = { text: 'lorem ipsum dolor sit amet '.repeat(200), list: Array.from({ length: 100 }, (_, i) => i % 5) };
+
+describe('Native compression engines', () => {
+  test.each(['deflate', 'gzip', 'brotli'])('should round-trip with %s', async (engine) => {
+    const storage = new LocalStorageAPI({ layers: [new MemoryStorage('zip')] });
+    await storage.set('doc', repetitive, { compression: engine });
+    storage.cache.clear();
+
+    const envelope = await storage.currentLayer.get('doc');
+    expect(envelope.c).toBe(engine);
+    expect(envelope.d.byteLength).toBeLessThan(JSON.stringify(repetitive).length / 10);
+    expect(await storage.get('doc')).toEqual(repetitive);
+  });
+
+  test('should reject engines unavailable in the environment', async () => {
+    const realProcess = global.process;
+    const storage = createStorage();
+    global.process = undefined;
+    try {
+      await expect(storage.serialize('x', { compression: 'brotli' })).rejects.toThrow(SerializationError);
+    } finally {
+      global.process = realProcess;
+    }
+  });
+});
+
+describe('Adaptive compression', () => {
+  test('should pick the smallest engine and record it', async () => {
+    const storage = new LocalStorageAPI({ profile: 'max-compression', layers: [new MemoryStorage('adaptive')] });
+    await storage.set('doc', repetitive);
+    storage.cache.clear();
+
+    const envelope = await storage.currentLayer.get('doc');
+    expect(['brotli', 'deflate', 'lz-string']).toContain(envelope.c);
+    expect(envelope.b).toBe(true);
+    expect(await storage.get('doc')).toEqual(repetitive);
+  });
+
+  test('should skip compression below the threshold or when it does not pay off', async () => {
+    const storage = new LocalStorageAPI({
+      profile: { adaptive: true, compressionThreshold: 64 },
+      layers: [new MemoryStorage('adaptive')]
+    });
+    await storage.set('small', 'tiny');
+    await storage.set('random', Array.from({ length: 64 }, (_, i) => ((i * 7919) % 1000) / 7));
+
+    expect((await storage.currentLayer.get('small')).c).toBe('none');
+    expect((await storage.currentLayer.get('random')).c).not.toBe('lz-string');
+    storage.cache.clear();
+    expect(await storage.get('small')).toBe('tiny');
+  });
+
+  test('should report compression ratios in getMetrics()', async () => {
+    const storage = new LocalStorageAPI({ layers: [new MemoryStorage('metrics')] });
+    expect(storage.getMetrics().compressionRatio).toBe(1);
+
+    await storage.set('doc', repetitive, { compression: 'deflate' });
+    await storage.set('plain', 'value');
+    const metrics = storage.getMetrics();
+
+    expect(metrics.compression.engines).toEqual({ deflate: 1, none: 1 });
+    expect(metrics.compression.compressedBytes).toBeLessThan(metrics.compression.originalBytes);
+    expect(metrics.compressionRatio).toBeLessThan(0.2);
+  });
+});
@@ -0,0 +1,55 @@
+/**
+ * Runs the layer conformance suite against the built-in layers
+ * Created by Ramkrishna Bhatt V, Milagres PU College, Kallianpur, Udupi
+ * License: MIT
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { IDBFactory, IDBKeyRange } = require('fake-indexeddb');
+const { defineLayerConformanceTests } = require('../src/conformance');
+const MemoryStorage = require('../src/core/memory');
+const LocalStorageStorage = require('../src/core/localstorage');
+const SessionStorageStorage = require('../src/core/sessionstorage');
+const CookieStorage = require('../src/core/cookie');
+const IndexedDBStorage = require('../src/core/indexeddb');
+const FileSystemStorage = require('../src/core/filesystem');
+const WriteAheadLogStorage = require('../src/core/wal');
+const OPFSStorage = require('../src/core/opfs');
+const TieredStorage = require('../src/core/tiered');
+const { FakeStorage, FakeCookieJar } = require('./fakes/web-storage');
+const { FakeDirectoryHandle } = require('./fakes/opfs');
+
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'lsa-conformance-'));
+const opfsRoot = new FakeDirectoryHandle();
+
+beforeAll(() => {
+  global.localStorage = new FakeStorage();
+  global.sessionStorage = new FakeStorage();
+  global.document = new FakeCookieJar();
+  global.indexedDB = new IDBFactory();
+  global.IDBKeyRange = IDBKeyRange;
+});
+
+afterAll(() => {
+  delete global.localStorage;
+  delete global.sessionStorage;
+  delete global.document;
+  delete global.indexedDB;
+  delete global.IDBKeyRange;
+  fs.rmSync(directory, { recursive: true, force: true });
+});
+
+defineLayerConformanceTests('MemoryStorage', (namespace) => new MemoryStorage(namespace));
+defineLayerConformanceTests('LocalStorageStorage', (namespace) => new LocalStorageStorage(namespace));
+defineLayerConformanceTests('SessionStorageStorage', (namespace) => new SessionStorageStorage(namespace));
+defineLayerConformanceTests('CookieStorage', (namespace) => new CookieStorage(namespace, { chunkSize: 64 }));
+defineLayerConformanceTests('IndexedDBStorage', (namespace) => new IndexedDBStorage(namespace));
+defineLayerConformanceTests('FileSystemStorage', (namespace) => new FileSystemStorage(namespace, { directory }));
+defineLayerConformanceTests('WriteAheadLogStorage', (namespace) => new WriteAheadLogStorage(namespace, { directory }));
+defineLayerConformanceTests('OPFSStorage', (namespace) => new OPFSStorage(namespace, { root: opfsRoot }));
+defineLayerConformanceTests('OPFSStorage (sync handles)', (namespace) =>
+  new OPFSStorage(namespace, { root: opfsRoot, useSyncHandles: true }));
+defineLayerConformanceTests('TieredStorage', (namespace) =>
+  new TieredStorage([{ layer: new MemoryStorage(namespace) }, { layer: new MemoryStorage(namespace) }]));
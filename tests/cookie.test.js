@@ -0,0 +1,123 @@
+/**
+ * Tests for the sessionStorage and cookie storage layers
+ * Created by Ramkrishna Bhatt V, Milagres PU College, Kallianpur, Udupi
+ * License: MIT
+ */
+
+const SessionStorageStorage = require('../src/core/sessionstorage');
+const CookieStorage = require('../src/core/cookie');
+const { FakeStorage, FakeCookieJar } = require('./fakes/web-storage');
+
+describe('SessionStorageStorage', () => {
+  let layer;
+
+  beforeEach(() => {
+    global.sessionStorage = new FakeStorage();
+    layer = new SessionStorageStorage('app');
+  });
+
+  afterEach(() => {
+    delete global.sessionStorage;
+  });
+
+  test('should store prefixed entries in sessionStorage', async () => {
+    await layer.set('key1', 'value1');
+    sessionStorage.setItem('unrelated', 'x');
+
+    expect(JSON.parse(sessionStorage.getItem('lsa_app_key1')).value).toBe('value1');
+    expect(await layer.keys()).toEqual(['key1']);
+    expect(await layer.get('key1')).toBe('value1');
+
+    await layer.clear();
+    expect(await layer.size()).toBe(0);
+    expect(sessionStorage.getItem('unrelated')).toBe('x');
+  });
+
+  test('should report support', () => {
+    expect(layer.supports()).toBe(true);
+  });
+});
+
+describe('CookieStorage', () => {
+  let layer;
+
+  beforeEach(() => {
+    global.document = new FakeCookieJar();
+    layer = new CookieStorage('app', { chunkSize: 200 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    delete global.document;
+  });
+
+  test('should store small values in a single cookie', async () => {
+    await layer.set('theme', 'dark');
+
+    expect(Array.from(document.jar.keys())).toEqual(['lsa_app_theme']);
+    expect(await layer.get('theme')).toBe('dark');
+    expect(await layer.keys()).toEqual(['theme']);
+  });
+
+  test('should chunk large values across cookies', async () => {
+    const value = 'x'.repeat(450);
+    await layer.set('big', value);
+
+    expect(document.jar.get('lsa_app_big').value).toMatch(/^c:\d+$/);
+    expect(document.jar.size).toBeGreaterThan(3);
+    expect(await layer.get('big')).toBe(value);
+    expect(await layer.keys()).toEqual(['big']);
+  });
+
+  test('should drop stale chunks when a value shrinks or is removed', async () => {
+    await layer.set('big', 'x'.repeat(450));
+    await layer.set('big', 'small');
+    expect(Array.from(new Set(document.cookie.split('; ').map(c => c.split('=')[0])))).toEqual(['lsa_app_big']);
+
+    await layer.set('big', 'x'.repeat(450));
+    await layer.remove('big');
+    expect(document.cookie).toBe('');
+  });
+
+  test('should apply cookie attributes', async () => {
+    layer = new CookieStorage('app', { path: '/app', domain: 'example.com', sameSite: 'None' });
+    await layer.set('key1', 'value1');
+
+    const { attributes } = document.jar.get('lsa_app_key1');
+    expect(attributes).toMatchObject({ path: '/app', domain: 'example.com', samesite: 'None', secure: true });
+  });
+
+  test('should map TTL to Expires', async () => {
+    const now = Date.now();
+    jest.spyOn(Date, 'now').mockReturnValue(now);
+    await layer.set('key1', 'value1', 60);
+
+    expect(document.jar.get('lsa_app_key1').expires).toBe(Math.floor((now + 60000) / 1000) * 1000);
+    expect(await layer.has('key1')).toBe(true);
+
+    Date.now.mockReturnValue(now + 61000);
+    expect(await layer.get('key1')).toBeNull();
+    expect(await layer.keys()).toEqual([]);
+  });
+
+  test('should keep entries without a TTL for maxAge', async () => {
+    const now = Date.now();
+    jest.spyOn(Date, 'now').mockReturnValue(now);
+    await layer.set('key1', 'value1');
+    await new CookieStorage('session', { maxAge: null }).set('key1', 'value1');
+
+    expect(document.jar.get('lsa_app_key1').expires).toBe(Math.floor((now + 400 * 86400000) / 1000) * 1000);
+    expect(document.jar.get('lsa_session_key1').expires).toBeNull();
+    expect((await layer.getRecord('key1')).ttl).toBeNull();
+  });
+
+  test('should encode keys and isolate namespaces', async () => {
+    const other = new CookieStorage('other');
+    await layer.set('a key; with=chars', 1);
+    await other.set('key2', 2);
+
+    expect(await layer.exportAll()).toEqual({ 'a key; with=chars': 1 });
+    await layer.clear();
+    expect(await other.exportAll()).toEqual({ key2: 2 });
+  });
+});
@@ -0,0 +1,249 @@
+/**
+ * Tests for built-in record encryption
+ * Created by Ramkrishna Bhatt V, Milagres PU College, Kallianpur, Udupi
+ * License: MIT
+ */
+
+const { webcrypto } = require('crypto');
+const { DecryptionError, SerializationError, StorageError } = require('../src/main');
+const MemoryStorage = require('../src/core/memory');
+const LocalStorageStorage = require('../src/core/localstorage');
+const { createChecksum } = require('../src/integrity');
+const { FakeStorage } = require('./fakes/web-storage');
+const { createStorage } = require('./fakes/storage');
+
+const encrypted = (layer, encryption, options = {}) => createStorage({ layers: [layer], encryption, ...options });
+
+// Low iteration counts keep the tests fast
+const passphrase = (secret) => ({ passphrase: secret, iterations: 1000 });
+
+// Node.js 14 has no WebCrypto
+const describeWithWebCrypto = webcrypto ? describe : describe.skip;
+const testWithoutWebCrypto = webcrypto ? test.skip : test;
+
+describe('Missing WebCrypto', () => {
+  testWithoutWebCrypto('should reject built-in encryption with a StorageError', () => {
+    expect(() => createStorage({ encryption: passphrase('pw') })).toThrow(StorageError);
+    expect(() => createStorage({ encryption: passphrase('pw') })).toThrow('Built-in encryption needs WebCrypto');
+  });
+});
+
+describeWithWebCrypto('Built-in encryption', () => {
+  test('should encrypt with a passphrase and store the parameters', async () => {
+    const layer = new MemoryStorage('secure');
+    const storage = encrypted(layer, passphrase('correct horse'));
+    await storage.set('card', { number: '4111 1111 1111 1111' });
+
+    const envelope = await layer.get('card');
+    expect(envelope.e).toBe('aes-gcm');
+    expect(envelope.d).toMatchObject({ alg: 'AES-GCM', kdf: 'PBKDF2', hash: 'SHA-256', iterations: 1000, text: true });
+    expect(envelope.d.salt.byteLength).toBe(16);
+    expect(envelope.d.iv.byteLength).toBe(12);
+    expect(Buffer.from(envelope.d.data).toString('latin1')).not.toContain('4111');
+
+    const reader = encrypted(layer, passphrase('correct horse'));
+    expect(await reader.get('card')).toEqual({ number: '4111 1111 1111 1111' });
+  });
+
+  test('should use a random IV per record', async () => {
+    const layer = new MemoryStorage('secure');
+    const storage = encrypted(layer, passphrase('pw'));
+    await storage.set('a', 'same');
+    await storage.set('b', 'same');
+
+    const [a, b] = [await layer.get('a'), await layer.get('b')];
+    expect(Buffer.from(a.d.iv).equals(Buffer.from(b.d.iv))).toBe(false);
+    expect(Buffer.from(a.d.data).equals(Buffer.from(b.d.data))).toBe(false);
+  });
+
+  test('should derive keys from raw key bytes with HKDF', async () => {
+    const key = webcrypto.getRandomValues(new Uint8Array(32));
+    const layer = new MemoryStorage('secure');
+    await encrypted(layer, { key }).set('token', 'abc');
+
+    expect((await layer.get('token')).d.kdf).toBe('HKDF');
+    expect(await encrypted(layer, { key }).get('token')).toBe('abc');
+  });
+
+  test('should accept an AES-GCM CryptoKey', async () => {
+    const key = await webcrypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
+    const layer = new MemoryStorage('secure');
+    await encrypted(layer, { key }).set('token', 'abc');
+
+    expect((await layer.get('token')).d.kdf).toBe('none');
+    expect(await encrypted(layer, { key }).get('token')).toBe('abc');
+  });
+
+  test('should encrypt binary payloads in text-based layers', async () => {
+    global.localStorage = new FakeStorage();
+    try {
+      const layer = new LocalStorageStorage('secure');
+      const storage = encrypted(layer, passphrase('pw'), { profile: { compression: 'deflate' } });
+      await storage.set('doc', 'x'.repeat(1000));
+
+      expect(await encrypted(layer, passphrase('pw')).get('doc')).toBe('x'.repeat(1000));
+    } finally {
+      delete global.localStorage;
+    }
+  });
+
+  test('should share one salt between the instances of a namespace', async () => {
+    global.localStorage = new FakeStorage();
+    try {
+      await encrypted('localstorage', passphrase('pw')).set('a', 1);
+      await encrypted('localstorage', passphrase('pw')).set('b', 2);
+
+      const layer = new LocalStorageStorage('app');
+      const salts = [(await layer.get('a')).d.salt, (await layer.get('b')).d.salt].map(salt => Buffer.from(salt).toString('hex'));
+      expect(salts[0]).toBe(salts[1]);
+      expect(await new LocalStorageStorage('app.keys').keys()).toEqual(['salt']);
+    } finally {
+      delete global.localStorage;
+    }
+  });
+
+  test('should fail with DecryptionError for a wrong passphrase', async () => {
+    const layer = new MemoryStorage('secure');
+    await encrypted(layer, passphrase('right')).set('key', 'value');
+
+    const wrong = encrypted(layer, passphrase('wrong'));
+    await expect(wrong.get('key')).rejects.toThrow(DecryptionError);
+    await expect(wrong.get('key')).rejects.toThrow('wrong key or tampered data');
+    await expect(encrypted(layer, { key: new Uint8Array(32) }).get('key')).rejects.toThrow(DecryptionError);
+  });
+
+  test('should fail with DecryptionError for tampered data with a matching CRC', async () => {
+    const key = await webcrypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
+    const layer = new MemoryStorage('secure');
+    await encrypted(layer, { key, keyId: 'k1' }).set('key', 'value');
+    const envelope = await layer.get('key');
+    new Uint8Array(envelope.d.data)[0] ^= 1;
+    envelope.h = await createChecksum(envelope);
+
+    const error = await encrypted(layer, { key, keyId: 'k1' }).get('key').catch(e => e);
+    expect(error).toBeInstanceOf(DecryptionError);
+    expect(error).toBeInstanceOf(SerializationError);
+    expect(error.code).toBe('DECRYPTION_ERROR');
+  });
+
+  test('should fail with DecryptionError when no key is configured', async () => {
+    const layer = new MemoryStorage('secure');
+    await encrypted(layer, passphrase('pw')).set('key', 'value');
+
+    await expect(encrypted(layer, null).get('key')).rejects.toThrow(DecryptionError);
+  });
+});
+
+describeWithWebCrypto('Key rotation', () => {
+  const fill = async (storage, count) => {
+    for (let i = 0; i < count; i++) {
+      await storage.set(`item${i}`, { i });
+    }
+  };
+
+  test('should re-encrypt every record with the new key', async () => {
+    const layer = new MemoryStorage('rotate');
+    const storage = encrypted(layer, passphrase('old'));
+    await fill(storage, 3);
+    await storage.set('short', 'lived', { ttl: 60 });
+    await layer.set('foreign', 'not an envelope');
+    const expiry = (await layer.getRecord('short')).ttl;
+
+    const events = [];
+    storage.on('rotationprogress', (event) => events.push(event.done));
+    const result = await storage.rotateKey('old', 'new');
+
+    expect(result).toMatchObject({ total: 5, done: 5, rotated: 4, skipped: 1, failed: [] });
+    expect(events).toEqual([1, 2, 3, 4, 5]);
+    expect((await layer.getRecord('short')).ttl).toBe(expiry);
+
+    const reader = encrypted(layer, passphrase('new'));
+    expect(await reader.get('item2')).toEqual({ i: 2 });
+    expect(await reader.get('short')).toBe('lived');
+    await expect(encrypted(layer, passphrase('old')).get('item0')).rejects.toThrow(DecryptionError);
+  });
+
+  test('should keep the namespace salt for rotated records', async () => {
+    const layer = new MemoryStorage('rotate');
+    const storage = encrypted(layer, passphrase('old'));
+    await storage.set('a', 1);
+    const salt = Buffer.from((await layer.get('a')).d.salt).toString('hex');
+    await storage.rotateKey(passphrase('old'), passphrase('new'));
+    await storage.set('b', 2);
+
+    expect(Buffer.from((await layer.get('a')).d.salt).toString('hex')).toBe(salt);
+    expect(Buffer.from((await layer.get('b')).d.salt).toString('hex')).toBe(salt);
+  });
+
+  test('should record the key id with each record', async () => {
+    const layer = new MemoryStorage('rotate');
+    await encrypted(layer, { ...passphrase('pw'), keyId: 'k1' }).set('a', 1);
+    await encrypted(layer, passphrase('pw')).set('b', 1);
+    await encrypted(layer, passphrase('other')).set('c', 1);
+
+    const [a, b, c] = await Promise.all(['a', 'b', 'c'].map(async key => (await layer.get(key)).d.kid));
+    expect(a).toBe('k1');
+    expect(b).toMatch(/^[A-Za-z0-9+/=]+$/);
+    expect(b).not.toBe(c);
+  });
+
+  test('should derive key ids with the salt, so they differ between namespaces', async () => {
+    const first = new MemoryStorage('one');
+    const second = new MemoryStorage('two');
+    await encrypted(first, passphrase('pw')).set('a', 1);
+    await encrypted(second, passphrase('pw')).set('a', 1);
+
+    expect((await first.get('a')).d.kid).not.toBe((await second.get('a')).d.kid);
+  });
+
+  test('should read old and new records during a rotation', async () => {
+    const layer = new MemoryStorage('rotate');
+    const storage = encrypted(layer, passphrase('old'));
+    await fill(storage, 3);
+
+    const seen = [];
+    storage.on('rotationprogress', async (event) => {
+      if (event.done === 1) seen.push(await storage.get('item0'), await storage.get('item2'));
+    });
+    storage.cache.clear();
+    await storage.rotateKey('old', 'new');
+    await storage.set('after', 'rotation');
+
+    expect(seen).toEqual([{ i: 0 }, { i: 2 }]);
+    expect(await encrypted(layer, passphrase('new')).get('after')).toBe('rotation');
+  });
+
+  test('should resume an interrupted rotation', async () => {
+    const layer = new MemoryStorage('rotate');
+    await fill(encrypted(layer, passphrase('old')), 4);
+
+    // Simulate a reload after two records were rotated
+    const interrupted = encrypted(layer, passphrase('old'));
+    const putRecord = layer.putRecord.bind(layer);
+    let writes = 0;
+    layer.putRecord = async (key, record) => {
+      if (++writes > 2) throw new Error('page closed');
+      return putRecord(key, record);
+    };
+    interrupted.failover = async () => false;
+    await interrupted.rotateKey('old', 'new');
+    layer.putRecord = putRecord;
+
+    const resumed = encrypted(layer, { ...passphrase('new'), previousKeys: ['old'] });
+    expect(await resumed.get('item3')).toEqual({ i: 3 });
+    const result = await resumed.rotateKey('old', 'new');
+
+    expect(result).toMatchObject({ rotated: 2, skipped: 2, failed: [] });
+    expect(await encrypted(layer, passphrase('new')).get('item3')).toEqual({ i: 3 });
+  });
+
+  test('should report records that cannot be decrypted', async () => {
+    const layer = new MemoryStorage('rotate');
+    await encrypted(layer, passphrase('someone else')).set('theirs', 1);
+    const storage = encrypted(layer, passphrase('old'));
+    await storage.set('mine', 1);
+
+    const result = await storage.rotateKey('old', 'new');
+    expect(result).toMatchObject({ rotated: 1, failed: ['theirs'] });
+  });
+});
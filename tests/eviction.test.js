@@ -0,0 +1,159 @@
+/**
+ * Tests for capacity limits and eviction
+ * Created by Ramkrishna Bhatt V, Milagres PU College, Kallianpur, Udupi
+ * License: MIT
+ */
+
+const { LocalStorageAPI, StorageError } = require('../src/main');
+const MemoryStorage = require('../src/core/memory');
+const { createStorage } = require('./fakes/storage');
+
+describe('Capacity limits', () => {
+  let now;
+  let layer;
+
+  // Every operation happens a second after the previous one
+  const tick = () => { now += 1000; };
+
+  beforeEach(() => {
+    now = Date.now();
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    layer = new MemoryStorage('bounded');
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should evict the least recently used entry', async () => {
+    const storage = createStorage({ layers: [layer], maxEntries: 3 });
+    const evicted = [];
+    storage.on('evict', ({ key }) => evicted.push(key));
+
+    for (const key of ['a', 'b', 'c']) {
+      await storage.set(key, key);
+      tick();
+    }
+    await storage.get('a');
+    tick();
+    await storage.set('d', 'd');
+
+    expect(evicted).toEqual(['b']);
+    expect((await layer.keys()).sort()).toEqual(['a', 'c', 'd']);
+    expect(storage.getMetrics().evictions).toBe(1);
+  });
+
+  test('should evict the least frequently used entry', async () => {
+    const storage = createStorage({ layers: [layer], maxEntries: 2, eviction: 'lfu' });
+    await storage.set('a', 'a');
+    tick();
+    await storage.set('b', 'b');
+    for (let i = 0; i < 3; i++) {
+      tick();
+      await storage.get('a');
+    }
+    tick();
+    await storage.set('c', 'c');
+
+    expect((await layer.keys()).sort()).toEqual(['a', 'c']);
+  });
+
+  test('should evict the soonest expiring entry with the ttl policy', async () => {
+    const storage = createStorage({ layers: [layer], maxEntries: 3, eviction: 'ttl' });
+    await storage.set('long', 1, { ttl: 100 });
+    await storage.set('short', 2, { ttl: 10 });
+    await storage.set('forever', 3);
+    tick();
+    await storage.set('new', 4);
+
+    expect((await layer.keys()).sort()).toEqual(['forever', 'long', 'new']);
+  });
+
+  test('should evict expired entries first', async () => {
+    const storage = createStorage({ layers: [layer], maxEntries: 2 });
+    await storage.set('old', 1);
+    tick();
+    await storage.set('expiring', 2, { ttl: 1 });
+    tick();
+    tick();
+    await storage.set('new', 3);
+
+    expect((await layer.keys()).sort()).toEqual(['new', 'old']);
+  });
+
+  test('should keep the namespace under maxBytes', async () => {
+    // '"xxx…"' is stored as 102 UTF-16 characters, 204 bytes
+    const storage = createStorage({ layers: [layer], maxBytes: 500 });
+    const evicted = [];
+    storage.on('evict', event => evicted.push(event));
+
+    for (const key of ['a', 'b', 'c']) {
+      await storage.set(key, 'x'.repeat(100));
+      tick();
+    }
+
+    expect(evicted).toEqual([{ key: 'a', size: 204, action: 'evict' }]);
+    expect((await layer.keys()).sort()).toEqual(['b', 'c']);
+  });
+
+  test('should never evict the entry being written', async () => {
+    const storage = createStorage({ layers: [layer], maxBytes: 100 });
+    await storage.set('small', 'x');
+    tick();
+    await storage.set('large', 'x'.repeat(100));
+
+    expect(await layer.keys()).toEqual(['large']);
+  });
+
+  test('should store access stats in the record metadata', async () => {
+    const storage = createStorage({ layers: [layer], maxEntries: 10 });
+    await storage.set('key', 'value');
+    tick();
+    storage.cache.clear();
+    await storage.get('key');
+
+    const record = await layer.getRecord('key');
+    expect(record.accessedAt).toBe(now);
+    expect(record.hits).toBeGreaterThanOrEqual(1);
+  });
+
+  test('should evict by the stats stored by an earlier instance', async () => {
+    const first = createStorage({ layers: [layer], maxEntries: 2 });
+    await first.set('a', 'a');
+    tick();
+    await first.set('b', 'b');
+    tick();
+    first.cache.clear();
+    await first.get('a');
+    tick();
+
+    const second = createStorage({ layers: [layer], maxEntries: 2 });
+    await second.set('c', 'c');
+    expect((await layer.keys()).sort()).toEqual(['a', 'c']);
+  });
+
+  test('should apply limits to imported data', async () => {
+    const storage = createStorage({ layers: [layer], maxEntries: 2 });
+    await storage.importAll({ a: 1, b: 2, c: 3 });
+
+    expect(await layer.keys()).toHaveLength(2);
+  });
+
+  test('should accept custom eviction policies', async () => {
+    LocalStorageAPI.registerEvictionPolicy('largest', (a, b) => b.size - a.size);
+    const storage = createStorage({ layers: [layer], maxEntries: 2, eviction: 'largest' });
+    await storage.set('big', 'x'.repeat(50));
+    await storage.set('small', 'x');
+    await storage.set('new', 'xx');
+    expect((await layer.keys()).sort()).toEqual(['new', 'small']);
+
+    const byKey = createStorage({ layers: [layer], maxEntries: 1, eviction: (a, b) => a.key.localeCompare(b.key) });
+    await byKey.set('z', 1);
+    expect((await layer.keys()).sort()).toEqual(['z']);
+  });
+
+  test('should reject unknown eviction policies', () => {
+    expect(() => createStorage({ layers: [layer], maxEntries: 1, eviction: 'random' })).toThrow(StorageError);
+    expect(() => LocalStorageAPI.registerEvictionPolicy('bad', 'lru')).toThrow(StorageError);
+  });
+});
@@ -0,0 +1,230 @@
+/**
+ * Tests for TTL expiry options and sweeping
+ * Created by Ramkrishna Bhatt V, Milagres PU College, Kallianpur, Udupi
+ * License: MIT
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const MemoryStorage = require('../src/core/memory');
+const LocalStorageStorage = require('../src/core/localstorage');
+const FileSystemStorage = require('../src/core/filesystem');
+const { FakeStorage } = require('./fakes/web-storage');
+const { createStorage } = require('./fakes/storage');
+
+const advanceClock = (ms) => {
+  const now = Date.now();
+  jest.spyOn(Date, 'now').mockReturnValue(now + ms);
+};
+
+describe('purgeExpired()', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should purge expired records in batches and emit expire events', async () => {
+    const layer = new MemoryStorage('app');
+    const storage = createStorage({ layers: [layer] });
+    for (let i = 0; i < 5; i++) await storage.set(`session${i}`, i, { ttl: 1 });
+    await storage.set('forever', 'value');
+    await storage.set('later', 'value', { ttl: 60 });
+
+    const expired = [];
+    storage.on('expire', ({ key }) => expired.push(key));
+    const purge = jest.spyOn(layer, 'purgeExpired');
+    advanceClock(2000);
+
+    const purged = await storage.purgeExpired({ batchSize: 2 });
+    expect(purged.sort()).toEqual(['session0', 'session1', 'session2', 'session3', 'session4']);
+    expect(expired.sort()).toEqual(purged);
+    expect(purge).toHaveBeenCalledTimes(3);
+    expect((await layer.keys()).sort()).toEqual(['forever', 'later']);
+  });
+
+  test('should drop purged records from the read cache', async () => {
+    const storage = createStorage({ layers: [new MemoryStorage('app')] });
+    await storage.set('key', 'value', { ttl: 1 });
+    advanceClock(2000);
+
+    await storage.purgeExpired();
+    expect(storage.cache.has('key')).toBe(false);
+  });
+
+  test('should read every key for layers without purgeExpired()', async () => {
+    const layer = new MemoryStorage('app');
+    layer.purgeExpired = undefined;
+    const storage = createStorage({ layers: [layer] });
+    await storage.set('short', 'value', { ttl: 1 });
+    await storage.set('forever', 'value');
+    advanceClock(2000);
+
+    expect(await storage.purgeExpired()).toEqual(['short']);
+    expect(await layer.keys()).toEqual(['forever']);
+  });
+
+  test('should purge every tier in tiered mode', async () => {
+    const l1 = new MemoryStorage('app');
+    const l2 = new MemoryStorage('app');
+    const storage = createStorage({ tiers: [{ layer: l1 }, { layer: l2 }] });
+    await storage.set('short', 'value', { ttl: 1 });
+    advanceClock(2000);
+
+    expect(await storage.purgeExpired()).toEqual(['short']);
+    expect(l1.data.size + l2.data.size).toBe(0);
+  });
+
+  test('should skip corrupted records in localStorage', async () => {
+    global.localStorage = new FakeStorage();
+    try {
+      const storage = createStorage({ layers: [new LocalStorageStorage('app')] });
+      await storage.set('short', 'value', { ttl: 1 });
+      localStorage.setItem('lsa_app_bad', 'not json');
+      advanceClock(2000);
+
+      expect(await storage.purgeExpired()).toEqual(['short']);
+      expect(localStorage.getItem('lsa_app_bad')).toBe('not json');
+    } finally {
+      delete global.localStorage;
+    }
+  });
+
+  test('should write the file once per batch', async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'lsa-expiry-'));
+    try {
+      const layer = new FileSystemStorage('app', { directory });
+      await layer.set('a', 1, 1);
+      await layer.set('b', 2, 1);
+      await layer.set('c', 3);
+      const persist = jest.spyOn(layer, 'persist');
+      advanceClock(2000);
+
+      expect((await layer.purgeExpired()).sort()).toEqual(['a', 'b']);
+      expect(persist).toHaveBeenCalledTimes(1);
+      expect(await new FileSystemStorage('app', { directory }).keys()).toEqual(['c']);
+    } finally {
+      fs.rmSync(directory, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('Expiry sweeper', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should purge periodically when sweepInterval is set', async () => {
+    const storage = createStorage({ layers: [new MemoryStorage('app')], sweepInterval: 10 });
+    await storage.set('short', 'value', { ttl: 1 });
+    advanceClock(2000);
+
+    const event = await new Promise(resolve => storage.once('expire', resolve));
+    storage.stopSweeper();
+    expect(event).toEqual({ key: 'short', action: 'expire' });
+    expect(storage.sweepTimer).toBeNull();
+  });
+
+  test('should keep sweeping after a failed sweep', async () => {
+    const layer = new MemoryStorage('app');
+    const storage = createStorage({ layers: [layer], failover: false });
+    jest.spyOn(layer, 'purgeExpired')
+      .mockRejectedValueOnce(new Error('busy'))
+      .mockResolvedValue([]);
+
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    storage.startSweeper(5);
+    while (layer.purgeExpired.mock.calls.length < 2) {
+      await new Promise(resolve => setTimeout(resolve, 5));
+    }
+    storage.stopSweeper();
+
+    expect(storage.metrics.errors.map(error => error.message)).toContain('busy');
+  });
+});
+
+describe.each([
+  ['MemoryStorage', () => [new MemoryStorage('app')]],
+  ['LocalStorageStorage', () => [new LocalStorageStorage('app')]],
+  ['TieredStorage', () => null]
+])('Expiry options on %s', (name, createLayers) => {
+  let now;
+  let storage;
+
+  beforeEach(() => {
+    global.localStorage = new FakeStorage();
+    now = Date.now();
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    const layers = createLayers();
+    storage = layers ?
+      createStorage({ layers }) :
+      createStorage({ tiers: [{ layer: new MemoryStorage('app'), ttl: 5 }, { layer: new MemoryStorage('app') }] });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    delete global.localStorage;
+  });
+
+  test('should expire at an absolute time', async () => {
+    await storage.set('date', 'value', { expireAt: new Date(now + 10000) });
+    await storage.set('timestamp', 'value', { expireAt: now + 20000 });
+    expect(await storage.ttl('date')).toBe(10);
+
+    now += 15000;
+    expect(await storage.get('date')).toBeNull();
+    expect(await storage.get('timestamp')).toBe('value');
+    await expect(storage.set('bad', 'value', { expireAt: 'tomorrow' })).rejects.toThrow('expireAt');
+  });
+
+  test('should restart sliding expiry on every read', async () => {
+    await storage.set('session', 'value', { ttl: 10, sliding: true });
+    for (let i = 0; i < 3; i++) {
+      now += 8000;
+      expect(await storage.get('session')).toBe('value');
+    }
+    expect(await storage.ttl('session')).toBe(10);
+
+    now += 11000;
+    expect(await storage.get('session')).toBeNull();
+    await expect(storage.set('bad', 'value', { sliding: true })).rejects.toThrow('ttl');
+  });
+
+  test('should extend a key with touch()', async () => {
+    await storage.set('key', 'value', { ttl: 10 });
+    now += 8000;
+    expect(await storage.touch('key')).toBe(true);
+    expect(await storage.ttl('key')).toBe(10);
+
+    expect(await storage.touch('key', 100)).toBe(true);
+    now += 50000;
+    expect(await storage.get('key')).toBe('value');
+    expect(await storage.touch('missing')).toBe(false);
+  });
+
+  test('should report the remaining time with ttl()', async () => {
+    await storage.set('short', 'value', { ttl: 10 });
+    await storage.set('forever', 'value');
+    now += 2500;
+
+    expect(await storage.ttl('short')).toBe(7.5);
+    expect(await storage.ttl('forever')).toBe(Infinity);
+    expect(await storage.ttl('missing')).toBeNull();
+  });
+
+  test('should drop the expiry with persist()', async () => {
+    await storage.set('key', 'value', { ttl: 10, sliding: true });
+    expect(await storage.persist('key')).toBe(true);
+    expect(await storage.ttl('key')).toBe(Infinity);
+
+    now += 60000;
+    expect(await storage.get('key')).toBe('value');
+    expect(await storage.persist('missing')).toBe(false);
+  });
+
+  test('should not serve expired values from the read cache', async () => {
+    await storage.set('key', 'value', { ttl: 1 });
+    now += 2000;
+
+    expect(await storage.get('key')).toBeNull();
+  });
+});
@@ -0,0 +1,123 @@
+/**
+ * Tests for runtime failover and layer migration
+ * Created by Ramkrishna Bhatt V, Milagres PU College, Kallianpur, Udupi
+ * License: MIT
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { LocalStorageAPI } = require('../src/main');
+
+describe('Layer failover', () => {
+  let directory;
+  let storage;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'lsa-failover-'));
+    storage = new LocalStorageAPI({ namespace: 'app', directory });
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('should fail over to the next layer and copy readable data', async () => {
+    const listener = jest.fn();
+    storage.on('layerchange', listener);
+    await storage.set('key1', 'value1');
+
+    const failing = storage.currentLayer;
+    jest.spyOn(failing, 'set').mockRejectedValue(new Error('disk full'));
+    await storage.set('key2', 'value2');
+
+    expect(storage.supports().current).toBe('MemoryStorage');
+    expect(listener).toHaveBeenCalledWith(expect.objectContaining({
+      from: 'filesystem',
+      to: 'memory',
+      migrated: 1,
+      action: 'layerchange'
+    }));
+    expect(listener.mock.calls[0][0].error.message).toBe('disk full');
+
+    storage.cache.clear();
+    expect(await storage.get('key1')).toBe('value1');
+    expect(await storage.get('key2')).toBe('value2');
+  });
+
+  test('should keep expiry and versions when failing over', async () => {
+    await storage.set('key1', 'value1', { ttl: 60 });
+    await storage.set('key1', 'value2', { ttl: 60 });
+
+    jest.spyOn(storage.currentLayer, 'set').mockRejectedValue(new Error('disk full'));
+    await storage.set('key2', 'value2');
+
+    expect(storage.supports().current).toBe('MemoryStorage');
+    expect(await storage.getVersion('key1')).toBe(2);
+    expect(await storage.ttl('key1')).toBeGreaterThan(59);
+  });
+
+  test('should rethrow when no healthy layer is left', async () => {
+    storage.layers.forEach(layer => jest.spyOn(layer, 'keys').mockRejectedValue(new Error('broken')));
+
+    await expect(storage.keys()).rejects.toThrow('broken');
+  });
+
+  test('should not fail over when disabled', async () => {
+    storage = new LocalStorageAPI({ namespace: 'app', directory, failover: false });
+    jest.spyOn(storage.currentLayer, 'keys').mockRejectedValue(new Error('broken'));
+
+    await expect(storage.keys()).rejects.toThrow('broken');
+    expect(storage.supports().current).toBe('FileSystemStorage');
+  });
+
+  test('should fail over as soon as a layer fails to open', async () => {
+    global.window = {};
+    global.indexedDB = { open: () => { throw new Error('blocked'); } };
+    try {
+      storage = new LocalStorageAPI({ namespace: 'app' });
+      const listener = jest.fn();
+      storage.on('layerchange', listener);
+      expect(storage.supports().current).toBe('IndexedDBStorage');
+
+      await new Promise(resolve => setImmediate(resolve));
+      expect(storage.supports().current).toBe('MemoryStorage');
+      expect(listener).toHaveBeenCalledWith(expect.objectContaining({ from: 'indexeddb', to: 'memory' }));
+    } finally {
+      delete global.window;
+      delete global.indexedDB;
+    }
+  });
+
+  test('should migrate a namespace between layers on purpose', async () => {
+    const listener = jest.fn();
+    storage.on('layerchange', listener);
+    await storage.set('key1', 'value1');
+
+    const migrated = await storage.migrateLayer('filesystem', 'memory');
+    expect(migrated).toBe(1);
+    expect(storage.supports().current).toBe('MemoryStorage');
+    expect(listener).toHaveBeenCalledWith(expect.objectContaining({ from: 'filesystem', to: 'memory' }));
+    expect(await storage.keys()).toEqual(['key1']);
+
+    const reopened = new LocalStorageAPI({ namespace: 'app', directory });
+    expect(await reopened.keys()).toEqual([]);
+  });
+
+  test('should keep expiry and versions when migrating', async () => {
+    await storage.set('key1', 'value1');
+    await storage.set('key1', 'value2', { ttl: 60 });
+    await storage.migrateLayer('filesystem', 'memory');
+
+    expect(await storage.getVersion('key1')).toBe(2);
+    expect(await storage.ttl('key1')).toBeGreaterThan(59);
+  });
+
+  test('should keep the source when asked', async () => {
+    await storage.set('key1', 'value1');
+    await storage.migrateLayer(storage.currentLayer, 'memory', { keepSource: true });
+
+    const reopened = new LocalStorageAPI({ namespace: 'app', directory });
+    expect(await reopened.get('key1')).toBe('value1');
+  });
+});
@@ -0,0 +1,14 @@
+/**
+ * Errors shaped like the DOMExceptions browsers throw, since DOMException
+ * is only global from Node.js 17
+ * Created by Ramkrishna Bhatt V, Milagres PU College, Kallianpur, Udupi
+ * License: MIT
+ */
+
+function domError(name, message) {
+  const error = new Error(message);
+  error.name = name;
+  return error;
+}
+
+module.exports = { domError };
@@ -0,0 +1,30 @@
+/**
+ * Minimal fetch() on the http module, for Node.js versions without one
+ * Created by Ramkrishna Bhatt V, Milagres PU College, Kallianpur, Udupi
+ * License: MIT
+ */
+
+const http = require('http');
+
+function fetch(url, init = {}) {
+  return new Promise((resolve, reject) => {
+    const request = http.request(url, { method: init.method || 'GET', headers: init.headers }, (response) => {
+      let body = '';
+      response.setEncoding('utf8');
+      response.on('data', chunk => { body += chunk; });
+      response.on('error', reject);
+      response.on('end', () => resolve({
+        ok: response.statusCode >= 200 && response.statusCode < 300,
+        status: response.statusCode,
+        text: async () => body
+      }));
+    });
+    request.on('error', reject);
+    if (init.signal) {
+      init.signal.addEventListener('abort', () => request.destroy(new Error('The request was aborted')));
+    }
+    request.end(init.body);
+  });
+}
+
+module.exports = { fetch };
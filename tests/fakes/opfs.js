@@ -0,0 +1,108 @@
+/**
+ * In-process fake of the Origin Private File System handle API
+ * Created by Ramkrishna Bhatt V, Milagres PU College, Kallianpur, Udupi
+ * License: MIT
+ */
+
+const { domError } = require('./dom-error');
+
+class FakeFileHandle {
+  constructor(name) {
+    this.kind = 'file';
+    this.name = name;
+    this.bytes = new Uint8Array(0);
+    this.locked = false;
+  }
+
+  async getFile() {
+    const bytes = this.bytes;
+    return {
+      size: bytes.length,
+      text: async () => new TextDecoder().decode(bytes)
+    };
+  }
+
+  async createWritable() {
+    const chunks = [];
+    return {
+      write: async (data) => {
+        chunks.push(typeof data === 'string' ? new TextEncoder().encode(data) : new Uint8Array(data));
+      },
+      close: async () => {
+        this.bytes = Buffer.concat(chunks);
+      }
+    };
+  }
+
+  async createSyncAccessHandle() {
+    if (this.locked) {
+      throw domError('NoModificationAllowedError', `${this.name} is locked`);
+    }
+    this.locked = true;
+    const file = this;
+    return {
+      getSize: () => file.bytes.length,
+      read(buffer, { at = 0 } = {}) {
+        const chunk = file.bytes.subarray(at, at + buffer.length);
+        buffer.set(chunk);
+        return chunk.length;
+      },
+      write(buffer, { at = 0 } = {}) {
+        const data = new Uint8Array(buffer);
+        if (at + data.length > file.bytes.length) {
+          const grown = new Uint8Array(at + data.length);
+          grown.set(file.bytes);
+          file.bytes = grown;
+        }
+        file.bytes.set(data, at);
+        return data.length;
+      },
+      truncate(size) {
+        file.bytes = file.bytes.slice(0, size);
+      },
+      flush() {},
+      close() {
+        file.locked = false;
+      }
+    };
+  }
+}
+
+class FakeDirectoryHandle {
+  constructor(name = '') {
+    this.kind = 'directory';
+    this.name = name;
+    this.children = new Map();
+  }
+
+  getHandle(name, kind, create, Handle) {
+    let handle = this.children.get(name);
+    if (!handle) {
+      if (!create) throw domError('NotFoundError', `${name} not found`);
+      handle = new Handle(name);
+      this.children.set(name, handle);
+    }
+    if (handle.kind !== kind) throw domError('TypeMismatchError', `${name} is not a ${kind}`);
+    return handle;
+  }
+
+  async getDirectoryHandle(name, { create = false } = {}) {
+    return this.getHandle(name, 'directory', create, FakeDirectoryHandle);
+  }
+
+  async getFileHandle(name, { create = false } = {}) {
+    return this.getHandle(name, 'file', create, FakeFileHandle);
+  }
+
+  async removeEntry(name) {
+    if (!this.children.delete(name)) throw domError('NotFoundError', `${name} not found`);
+  }
+
+  async *entries() {
+    for (const entry of Array.from(this.children.entries())) {
+      yield entry;
+    }
+  }
+}
+
+module.exports = { FakeDirectoryHandle, FakeFileHandle };
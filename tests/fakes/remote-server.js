@@ -0,0 +1,83 @@
+/**
+ * Stub key-value HTTP server implementing the RemoteStorage REST mapping
+ * Created by Ramkrishna Bhatt V, Milagres PU College, Kallianpur, Udupi
+ * License: MIT
+ */
+
+const http = require('http');
+
+function createStubServer() {
+  const namespaces = new Map();
+  const stub = {
+    requests: [],
+    failures: [],
+    delay: 0,
+    namespaces
+  };
+
+  const store = (namespace) => {
+    if (!namespaces.has(namespace)) namespaces.set(namespace, new Map());
+    return namespaces.get(namespace);
+  };
+
+
+  const send = (res, status, body) => {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(body === undefined ? '' : JSON.stringify(body));
+  };
+
+  const handle = (req, res, body) => {
+    const [namespace, key] = req.url.split('/').slice(2).map(decodeURIComponent);
+    stub.requests.push({ method: req.method, namespace, key, headers: req.headers, body });
+
+    const failure = stub.failures.shift();
+    if (failure) return send(res, failure);
+
+    const entries = store(namespace);
+    if (key === undefined) {
+      if (req.method === 'GET') return send(res, 200, Object.fromEntries(entries));
+      if (req.method === 'DELETE') {
+        entries.clear();
+        return send(res, 204);
+      }
+    } else if (key === '_batch' && req.method === 'POST') {
+      body.operations.forEach(({ op, key: target, record }) => {
+        if (op === 'set') entries.set(target, record);
+        else entries.delete(target);
+      });
+      return send(res, 204);
+    } else if (req.method === 'GET') {
+      return entries.has(key) ? send(res, 200, entries.get(key)) : send(res, 404, { error: 'not found' });
+    } else if (req.method === 'PUT') {
+      entries.set(key, body);
+      return send(res, 204);
+    } else if (req.method === 'DELETE') {
+      entries.delete(key);
+      return send(res, 204);
+    }
+    return send(res, 405);
+  };
+
+  const server = http.createServer((req, res) => {
+    let data = '';
+    req.on('data', chunk => { data += chunk; });
+    req.on('end', () => {
+      setTimeout(() => handle(req, res, data ? JSON.parse(data) : undefined), stub.delay);
+    });
+  });
+
+  stub.listen = () => new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      stub.endpoint = `http://127.0.0.1:${server.address().port}/kv`;
+      resolve(stub);
+    });
+  });
+  stub.close = () => new Promise(resolve => {
+    if (server.closeAllConnections) server.closeAllConnections();
+    server.close(resolve);
+  });
+
+  return stub;
+}
+
+module.exports = { createStubServer };
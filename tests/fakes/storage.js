@@ -0,0 +1,25 @@
+/**
+ * LocalStorageAPI instances for tests
+ * Created by Ramkrishna Bhatt V, Milagres PU College, Kallianpur, Udupi
+ * License: MIT
+ */
+
+const { LocalStorageAPI } = require('../../src/main');
+
+// An instance in the 'app' namespace with the 'ultra-fast' profile, on a
+// fresh MemoryStorage unless `layers` or `tiers` are given. `error` events
+// are recorded in `storage.errorEvents`, so tests can assert on them instead
+// of the EventEmitter throwing them.
+function createStorage(options = {}) {
+  const storage = new LocalStorageAPI({
+    namespace: 'app',
+    profile: 'ultra-fast',
+    layers: options.tiers ? undefined : ['memory'],
+    ...options
+  });
+  storage.errorEvents = [];
+  storage.on('error', event => storage.errorEvents.push(event));
+  return storage;
+}
+
+module.exports = { createStorage };
@@ -0,0 +1,84 @@
+/**
+ * In-process fakes of the Web Storage and document.cookie APIs
+ * Created by Ramkrishna Bhatt V, Milagres PU College, Kallianpur, Udupi
+ * License: MIT
+ */
+
+const { domError } = require('./dom-error');
+
+// Items are kept as own properties so that Object.keys(storage) lists them,
+// as it does in browsers. `quota` limits the characters of keys and values,
+// like a browser's per-origin limit.
+class FakeStorage {
+  constructor(quota = Infinity) {
+    Object.defineProperty(this, 'quota', { value: quota });
+  }
+
+  get length() {
+    return Object.keys(this).length;
+  }
+
+  key(index) {
+    const keys = Object.keys(this);
+    return index < keys.length ? keys[index] : null;
+  }
+
+  getItem(key) {
+    return Object.prototype.hasOwnProperty.call(this, key) ? this[key] : null;
+  }
+
+  setItem(key, value) {
+    const used = Object.keys(this)
+      .filter(name => name !== key)
+      .reduce((total, name) => total + name.length + this[name].length, 0);
+    if (used + key.length + String(value).length > this.quota) {
+      throw domError('QuotaExceededError', `Setting the value of '${key}' exceeded the quota.`);
+    }
+    this[key] = String(value);
+  }
+
+  removeItem(key) {
+    delete this[key];
+  }
+
+  clear() {
+    Object.keys(this).forEach(key => delete this[key]);
+  }
+}
+
+class FakeCookieJar {
+  constructor() {
+    this.jar = new Map();
+    this.writes = [];
+  }
+
+  get cookie() {
+    const now = Date.now();
+    const pairs = [];
+    for (const [name, entry] of this.jar) {
+      if (entry.expires !== null && entry.expires <= now) {
+        this.jar.delete(name);
+      } else {
+        pairs.push(`${name}=${entry.value}`);
+      }
+    }
+    return pairs.join('; ');
+  }
+
+  set cookie(header) {
+    this.writes.push(header);
+    const [pair, ...attributes] = header.split('; ');
+    const index = pair.indexOf('=');
+    const entry = { value: pair.slice(index + 1), expires: null, attributes: {} };
+
+    attributes.forEach(attribute => {
+      const [name, value = true] = attribute.split('=');
+      entry.attributes[name.toLowerCase()] = value;
+      if (name.toLowerCase() === 'expires') entry.expires = Date.parse(value);
+    });
+
+    this.jar.set(pair.slice(0, index), entry);
+  }
+}
+
+module.exports = { FakeStorage, FakeCookieJar };
@@ -0,0 +1,108 @@
+/**
+ * Tests for the FileSystem storage layer
+ * Created by Ramkrishna Bhatt V, Milagres PU College, Kallianpur, Udupi
+ * License: MIT
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const FileSystemStorage = require('../src/core/filesystem');
+const { LocalStorageAPI } = require('../src/main');
+
+describe('FileSystemStorage', () => {
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'lsa-fs-'));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('should persist values across instances', async () => {
+    const layer = new FileSystemStorage('app', { directory });
+    await layer.set('key1', 'value1');
+
+    const reopened = new FileSystemStorage('app', { directory });
+    expect(await reopened.get('key1')).toBe('value1');
+    expect(await reopened.keys()).toEqual(['key1']);
+  });
+
+  test('should isolate namespaces', async () => {
+    await new FileSystemStorage('a', { directory }).set('key1', 'a');
+    await new FileSystemStorage('b', { directory }).set('key1', 'b');
+
+    expect(await new FileSystemStorage('a', { directory }).get('key1')).toBe('a');
+    expect(await new FileSystemStorage('b', { directory }).get('key1')).toBe('b');
+  });
+
+  test('should not leave temp files behind', async () => {
+    const layer = new FileSystemStorage('app', { directory });
+    await Promise.all([layer.set('key1', 1), layer.set('key2', 2), layer.remove('key1')]);
+
+    expect(fs.readdirSync(directory)).toEqual(['lsa_app.json']);
+    expect(await new FileSystemStorage('app', { directory }).exportAll()).toEqual({ key2: 2 });
+  });
+
+  test('should keep namespaces with separators inside the directory', async () => {
+    const nested = path.join(directory, 'nested');
+    await new FileSystemStorage('a/b', { directory: nested }).set('key1', 1);
+    await new FileSystemStorage('../escape', { directory: nested }).set('key1', 2);
+
+    expect(fs.readdirSync(directory)).toEqual(['nested']);
+    expect(fs.readdirSync(nested).sort()).toEqual(['lsa_..%2Fescape.json', 'lsa_a%2Fb.json']);
+    expect(await new FileSystemStorage('a/b', { directory: nested }).get('key1')).toBe(1);
+  });
+
+  test('should not lose writes of other instances for the same file', async () => {
+    const a = new FileSystemStorage('app', { directory });
+    const b = new FileSystemStorage('app', { directory });
+    await a.keys();
+    await b.keys();
+
+    await Promise.all(Array.from({ length: 20 }, (_, i) => (i % 2 ? a : b).set(`key${i}`, i)));
+    await a.set('fromA', 'a');
+    await b.set('fromB', 'b');
+
+    const reopened = await new FileSystemStorage('app', { directory }).exportAll();
+    expect(Object.keys(reopened)).toHaveLength(22);
+    expect(reopened).toEqual(expect.objectContaining({ fromA: 'a', fromB: 'b' }));
+    expect(fs.readdirSync(directory)).toEqual(['lsa_app.json']);
+  });
+
+  test('should leave the data unchanged when a write fails', async () => {
+    const layer = new FileSystemStorage('app', { directory });
+    await layer.set('key1', 'old');
+    jest.spyOn(fs.promises, 'rename').mockRejectedValue(new Error('disk full'));
+
+    await expect(layer.set('key1', 'new')).rejects.toThrow('disk full');
+    await expect(layer.remove('key1')).rejects.toThrow('disk full');
+    expect(await layer.get('key1')).toBe('old');
+    expect(await new FileSystemStorage('app', { directory }).get('key1')).toBe('old');
+  });
+
+  test('should expire entries by TTL', async () => {
+    const now = Date.now();
+    jest.spyOn(Date, 'now').mockReturnValue(now);
+    const layer = new FileSystemStorage('app', { directory });
+    await layer.set('key1', 'value1', 10);
+    expect(await layer.has('key1')).toBe(true);
+
+    Date.now.mockReturnValue(now + 11000);
+    expect(await layer.get('key1')).toBeNull();
+    expect(await new FileSystemStorage('app', { directory }).size()).toBe(0);
+  });
+
+  test('should be used by LocalStorageAPI when a directory is given', async () => {
+    const storage = new LocalStorageAPI({ namespace: 'app', directory });
+    expect(storage.supports().current).toBe('FileSystemStorage');
+    expect(storage.supports().fileSystem).toBe(true);
+
+    await storage.set('user', { name: 'Alice' });
+    const reopened = new LocalStorageAPI({ namespace: 'app', directory });
+    expect(await reopened.get('user')).toEqual({ name: 'Alice' });
+  });
+});
@@ -0,0 +1,92 @@
+/**
+ * Tests for the IndexedDB storage layer
+ * Created by Ramkrishna Bhatt V, Milagres PU College, Kallianpur, Udupi
+ * License: MIT
+ */
+
+const { IDBFactory, IDBKeyRange } = require('fake-indexeddb');
+const IndexedDBStorage = require('../src/core/indexeddb');
+
+describe('IndexedDBStorage', () => {
+  let layer;
+
+  beforeEach(async () => {
+    global.indexedDB = new IDBFactory();
+    global.IDBKeyRange = IDBKeyRange;
+    layer = new IndexedDBStorage('app');
+    await layer.waitForReady();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    delete global.indexedDB;
+    delete global.IDBKeyRange;
+  });
+
+  const record = (value, fields = {}) => ({
+    value, createdAt: 1, updatedAt: 1, version: 1, ttl: null, ...fields
+  });
+
+  test('should persist values across instances', async () => {
+    await layer.set('key1', 'value1');
+
+    const reopened = new IndexedDBStorage('app');
+    expect(await reopened.get('key1')).toBe('value1');
+    expect(await reopened.keys()).toEqual(['key1']);
+  });
+
+  test('should continue the version of the previous record in set()', async () => {
+    await layer.set('key1', 'a');
+    await layer.set('key1', 'b', 60);
+
+    const stored = await layer.getRecord('key1');
+    expect(stored).toEqual(expect.objectContaining({ value: 'b', version: 2 }));
+    expect(stored.ttl).toBeGreaterThan(Date.now() + 59000);
+  });
+
+  test('should store records as is with putRecord()', async () => {
+    await layer.putRecord('key1', record('value1', { version: 7, hits: 3 }));
+
+    expect(await layer.getRecord('key1')).toEqual(record('value1', { version: 7, hits: 3 }));
+  });
+
+  test('should commit writes and removals in one readwrite transaction', async () => {
+    await layer.set('old', 'value');
+    const transaction = jest.spyOn(layer.db, 'transaction');
+
+    await layer.commit([
+      { key: 'a', record: record(1) },
+      { key: 'b', record: record(2) },
+      { key: 'old', record: null }
+    ]);
+    expect(transaction).toHaveBeenCalledTimes(1);
+    expect(transaction).toHaveBeenCalledWith(['storage'], 'readwrite');
+    expect(await layer.exportAll()).toEqual({ a: 1, b: 2 });
+  });
+
+  test('should commit nothing when a write fails', async () => {
+    await layer.set('a', 'old');
+
+    await expect(layer.commit([
+      { key: 'a', record: record('new') },
+      { key: 'b', record: record(() => {}) }
+    ])).rejects.toMatchObject({ name: 'DataCloneError' });
+    expect(await layer.exportAll()).toEqual({ a: 'old' });
+  });
+
+  test('should purge expired records through the ttl index', async () => {
+    const past = Date.now() - 1000;
+    await layer.commit([
+      { key: 'a', record: record(1, { ttl: past }) },
+      { key: 'b', record: record(2, { ttl: past }) },
+      { key: 'c', record: record(3, { ttl: past }) },
+      { key: 'live', record: record(4, { ttl: Date.now() + 60000 }) },
+      { key: 'forever', record: record(5) }
+    ]);
+
+    expect(await layer.purgeExpired(2)).toHaveLength(2);
+    expect(await layer.purgeExpired()).toHaveLength(1);
+    expect(await layer.purgeExpired()).toEqual([]);
+    expect((await layer.keys()).sort()).toEqual(['forever', 'live']);
+  });
+});
@@ -0,0 +1,199 @@
+/**
+ * Tests for record checksums, verify() and the quarantine
+ * Created by Ramkrishna Bhatt V, Milagres PU College, Kallianpur, Udupi
+ * License: MIT
+ */
+
+const { IntegrityError, DecryptionError, StorageError } = require('../src/main');
+const { crc32, createChecksum } = require('../src/integrity');
+const MemoryStorage = require('../src/core/memory');
+const LocalStorageStorage = require('../src/core/localstorage');
+const { FakeStorage } = require('./fakes/web-storage');
+const { createStorage } = require('./fakes/storage');
+
+const passphrase = (secret) => ({ passphrase: secret, iterations: 1000 });
+
+// Node.js 14 has no WebCrypto, which HMAC checksums need
+const testWithWebCrypto = require('crypto').webcrypto ? test : test.skip;
+
+describe('Record checksums', () => {
+  test('should compute standard CRC-32 values', () => {
+    expect(crc32(new TextEncoder().encode('123456789'))).toBe(0xcbf43926);
+    expect(crc32(new Uint8Array(0))).toBe(0);
+  });
+
+  test('should store a CRC-32 with every record', async () => {
+    const layer = new MemoryStorage('app');
+    await createStorage({ layers: [layer] }).set('key', { a: 1 });
+
+    expect((await layer.get('key')).h).toMatch(/^crc32:[0-9a-f]{8}$/);
+  });
+
+  test('should reject and quarantine a record with a damaged payload', async () => {
+    const layer = new MemoryStorage('app');
+    const storage = createStorage({ layers: [layer] });
+    const events = [];
+    storage.on('quarantine', event => events.push(event));
+    await storage.set('key', 'value');
+    const envelope = await layer.get('key');
+    envelope.d = '"other"';
+    storage.cache.clear();
+
+    const error = await storage.get('key').catch(e => e);
+    expect(error).toBeInstanceOf(IntegrityError);
+    expect(error).toBeInstanceOf(StorageError);
+    expect(error.code).toBe('INTEGRITY_ERROR');
+    expect(error.key).toBe('key');
+
+    expect(await storage.get('key')).toBeNull();
+    expect(events).toEqual([expect.objectContaining({ key: 'key', action: 'quarantine' })]);
+    const quarantine = await storage.getQuarantine();
+    expect(quarantine.key.data.d).toBe('"other"');
+    expect(quarantine.key.reason).toMatch(/checksum/);
+  });
+
+  test('should detect a damaged header', async () => {
+    const layer = new MemoryStorage('app');
+    const storage = createStorage({ layers: [layer] });
+    await storage.set('key', 'value');
+    (await layer.get('key')).c = 'lz-string';
+    storage.cache.clear();
+
+    await expect(storage.get('key')).rejects.toThrow(IntegrityError);
+  });
+
+  test('should read records written without a checksum', async () => {
+    const layer = new MemoryStorage('app');
+    const storage = createStorage({ layers: [layer] });
+    await storage.set('key', 'value');
+    delete (await layer.get('key')).h;
+    storage.cache.clear();
+
+    expect(await storage.get('key')).toBe('value');
+  });
+
+  testWithWebCrypto('should sign encrypted records with an HMAC', async () => {
+    const layer = new MemoryStorage('secure');
+    await createStorage({ layers: [layer], encryption: passphrase('pw') }).set('key', 'value');
+    const envelope = await layer.get('key');
+    expect(envelope.h).toMatch(/^hmac-sha256:/);
+
+    expect(await createStorage({ layers: [layer], encryption: passphrase('pw') }).get('key')).toBe('value');
+    await expect(createStorage({ layers: [layer], encryption: passphrase('wrong') }).get('key'))
+      .rejects.toThrow(DecryptionError);
+
+    new Uint8Array(envelope.d.data)[0] ^= 1;
+    await expect(createStorage({ layers: [layer], encryption: passphrase('pw') }).get('key'))
+      .rejects.toThrow(IntegrityError);
+  });
+
+  testWithWebCrypto('should reject plaintext and unsigned records when encryption is configured', async () => {
+    const layer = new MemoryStorage('secure');
+    const storage = createStorage({ layers: [layer], encryption: passphrase('pw') });
+    await storage.set('genuine', 'value');
+    await createStorage({ layers: [layer] }).set('forged', 'planted');
+    await storage.set('unsigned', 'value');
+    delete (await layer.get('unsigned')).h;
+
+    const reader = createStorage({ layers: [layer], encryption: passphrase('pw') });
+    const report = await reader.verify();
+    expect(report.valid).toBe(1);
+    expect(report.corrupted.map(({ key }) => key)).toEqual(['forged', 'unsigned']);
+    await expect(reader.get('forged')).rejects.toThrow(IntegrityError);
+    await expect(reader.get('unsigned')).rejects.toThrow(IntegrityError);
+  });
+
+  testWithWebCrypto('should keep records signed after a key rotation', async () => {
+    const layer = new MemoryStorage('secure');
+    const storage = createStorage({ layers: [layer], encryption: passphrase('old') });
+    await storage.set('key', 'value');
+    await storage.rotateKey(passphrase('old'), passphrase('new'));
+
+    const reader = createStorage({ layers: [layer], encryption: passphrase('new') });
+    expect(await reader.get('key')).toBe('value');
+    expect((await reader.verify()).valid).toBe(1);
+  });
+});
+
+describe('Corrupted layer records', () => {
+  beforeEach(() => {
+    global.localStorage = new FakeStorage();
+  });
+
+  afterEach(() => {
+    delete global.localStorage;
+  });
+
+  test('should report unparsable records instead of returning null', async () => {
+    const storage = createStorage({ layers: [new LocalStorageStorage('app'), new MemoryStorage('app')] });
+    await storage.set('good', 'value');
+    localStorage.setItem('lsa_app_bad', '{"value": trunc');
+
+    await expect(storage.get('bad')).rejects.toThrow(IntegrityError);
+    expect(storage.layerName(storage.currentLayer)).toBe('LocalStorageStorage');
+    expect(localStorage.getItem('lsa_app_bad')).toBeNull();
+    expect((await storage.getQuarantine()).bad.data).toBe('{"value": trunc');
+
+    // Other records stay exportable
+    expect(await storage.exportAll()).toEqual({ good: 'value' });
+  });
+
+  test('should remove corrupted records and report them as missing from has()', async () => {
+    const storage = createStorage({ layers: [new LocalStorageStorage('app')] });
+    localStorage.setItem('lsa_app_bad', '{"value": trunc');
+
+    expect(await storage.has('bad')).toBe(false);
+    await storage.remove('bad');
+    expect(localStorage.getItem('lsa_app_bad')).toBeNull();
+    expect(await storage.getQuarantine()).toEqual({});
+    expect(storage.errorEvents).toEqual([]);
+  });
+});
+
+describe('verify()', () => {
+  const setup = async () => {
+    const layer = new MemoryStorage('app');
+    const storage = createStorage({ layers: [layer] });
+    await storage.set('good', 'value');
+    await storage.set('damaged', 'value');
+    await storage.set('short', 'value', { ttl: 1 });
+    (await layer.get('damaged')).d = '"changed"';
+
+    const unknown = { $lsa: 1, s: 'json', c: 'zstd', e: false, b: false, v: 1, d: '"x"' };
+    unknown.h = await createChecksum(unknown);
+    await layer.set('unknown', unknown);
+    return { layer, storage };
+  };
+
+  test('should report corrupted, undecodable and expired records', async () => {
+    const { layer, storage } = await setup();
+    const now = Date.now();
+    jest.spyOn(Date, 'now').mockReturnValue(now + 2000);
+    try {
+      const report = await storage.verify();
+      expect(report).toEqual({
+        checked: 4,
+        valid: 1,
+        corrupted: [{ key: 'damaged', reason: expect.stringMatching(/checksum/) }],
+        undecodable: [{ key: 'unknown', reason: 'Unknown compression engine: zstd' }],
+        expired: ['short'],
+        quarantined: []
+      });
+    } finally {
+      Date.now.mockRestore();
+    }
+    expect((await layer.keys()).sort()).toEqual(['damaged', 'good', 'unknown']);
+  });
+
+  test('should quarantine bad records when repairing', async () => {
+    const { layer, storage } = await setup();
+    const report = await storage.verify({ repair: true });
+
+    expect(report.quarantined.sort()).toEqual(['damaged', 'unknown']);
+    expect((await layer.keys()).sort()).toEqual(['good', 'short']);
+    expect(Object.keys(await storage.getQuarantine()).sort()).toEqual(['damaged', 'unknown']);
+
+    await storage.clearQuarantine();
+    expect(await storage.getQuarantine()).toEqual({});
+  });
+});
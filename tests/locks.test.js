@@ -0,0 +1,165 @@
+/**
+ * Tests for withLock() and the lock implementations
+ * Created by Ramkrishna Bhatt V, Milagres PU College, Kallianpur, Udupi
+ * License: MIT
+ */
+
+const { LockTimeoutError, StorageError } = require('../src/main');
+const { WebLocks, LeaseLocks, LocalLocks } = require('../src/locks');
+const MemoryStorage = require('../src/core/memory');
+const { FakeStorage } = require('./fakes/web-storage');
+const { domError } = require('./fakes/dom-error');
+const { createStorage } = require('./fakes/storage');
+
+// navigator.locks is only found next to AbortController, which Node.js 14 lacks
+const testWithAbortController = typeof AbortController === 'undefined' ? test.skip : test;
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Increments a counter with a slow read-modify-write under the lock
+const increment = (storage, key) => storage.withLock('counter', async () => {
+  const value = (await storage.get(key)) || 0;
+  await delay(5);
+  await storage.set(key, value + 1);
+});
+
+describe('withLock()', () => {
+  test('should pick the in-process implementation in Node.js', () => {
+    expect(createStorage().locks).toBeInstanceOf(LocalLocks);
+  });
+
+  test('should serialize read-modify-write sequences', async () => {
+    const storage = createStorage();
+    await Promise.all(Array.from({ length: 5 }, () => increment(storage, 'count')));
+
+    expect(await storage.get('count')).toBe(5);
+  });
+
+  test('should return the result of the callback and release on errors', async () => {
+    const storage = createStorage();
+    await expect(storage.withLock('job', async () => { throw new Error('failed'); })).rejects.toThrow('failed');
+
+    expect(await storage.withLock('job', () => 42)).toBe(42);
+  });
+
+  test('should let shared holders run together but not with an exclusive one', async () => {
+    const storage = createStorage();
+    const events = [];
+    const hold = (name, mode) => storage.withLock('doc', async () => {
+      events.push(`+${name}`);
+      await delay(10);
+      events.push(`-${name}`);
+    }, { mode });
+
+    await Promise.all([hold('r1', 'shared'), hold('r2', 'shared'), hold('w', 'exclusive'), hold('r3', 'shared')]);
+    expect(events).toEqual(['+r1', '+r2', '-r1', '-r2', '+w', '-w', '+r3', '-r3']);
+  });
+
+  test('should time out with LockTimeoutError', async () => {
+    const storage = createStorage();
+    const held = storage.withLock('busy', () => delay(50));
+
+    const error = await storage.withLock('busy', () => {}, { timeout: 10 }).catch(e => e);
+    expect(error).toBeInstanceOf(LockTimeoutError);
+    expect(error).toBeInstanceOf(StorageError);
+    expect(error.code).toBe('LOCK_TIMEOUT');
+    expect(error.lock).toBe('busy');
+    await held;
+    expect(await storage.withLock('busy', () => 'free')).toBe('free');
+  });
+
+  test('should scope lock names to the namespace', async () => {
+    const app = createStorage();
+    const other = createStorage({ namespace: 'other' });
+    let release;
+    const held = app.withLock('shared-name', () => new Promise(resolve => { release = resolve; }));
+
+    expect(await other.withLock('shared-name', () => 'ran', { timeout: 10 })).toBe('ran');
+    release();
+    await held;
+  });
+
+  test('should reject unknown modes', async () => {
+    await expect(createStorage().withLock('x', () => {}, { mode: 'read' })).rejects.toThrow(StorageError);
+  });
+});
+
+describe('Web Locks', () => {
+  afterEach(() => {
+    delete global.navigator;
+  });
+
+  test('should request locks from navigator.locks', async () => {
+    const request = jest.fn((name, options, callback) => callback({ name, mode: options.mode }));
+    global.navigator = { locks: { request } };
+    const storage = createStorage();
+    expect(storage.locks).toBeInstanceOf(WebLocks);
+
+    expect(await storage.withLock('cart', () => 'done', { mode: 'shared' })).toBe('done');
+    expect(request).toHaveBeenCalledWith('lsa:app:cart', { mode: 'shared' }, expect.any(Function));
+  });
+
+  testWithAbortController('should abort the request after the timeout', async () => {
+    const request = jest.fn((name, options) => new Promise((resolve, reject) => {
+      options.signal.addEventListener('abort', () => reject(domError('AbortError', 'Aborted')));
+    }));
+    global.navigator = { locks: { request } };
+
+    await expect(createStorage().withLock('cart', () => {}, { timeout: 10 })).rejects.toThrow(LockTimeoutError);
+  });
+});
+
+describe('localStorage leases', () => {
+  const options = { lease: 60, pollInterval: 2, settle: 1 };
+
+  beforeEach(() => {
+    global.localStorage = new FakeStorage();
+  });
+
+  afterEach(() => {
+    delete global.localStorage;
+  });
+
+  test('should serialize writers in different tabs', async () => {
+    // Two instances stand in for two tabs sharing localStorage
+    const layer = new MemoryStorage('app');
+    const tabs = [createStorage({ layers: [layer], locks: options }), createStorage({ layers: [layer], locks: options })];
+    expect(tabs[0].locks).toBeInstanceOf(LeaseLocks);
+
+    await Promise.all([0, 1, 0, 1].map(i => increment(tabs[i], 'count')));
+    tabs[0].cache.clear();
+    expect(await tabs[0].get('count')).toBe(4);
+    expect(localStorage.getItem('lsa:lock:app:counter')).toBeNull();
+  });
+
+  test('should take over the lock of a tab whose lease ran out', async () => {
+    localStorage.setItem('lsa:lock:app:job', JSON.stringify({ mode: 'exclusive', holders: { crashed: Date.now() - 1 } }));
+
+    expect(await createStorage({ locks: options }).withLock('job', () => 'ran', { timeout: 20 })).toBe('ran');
+  });
+
+  test('should keep a lease alive while the holder runs', async () => {
+    // Held for three times its lease
+    const locks = new LeaseLocks(localStorage, { ...options, lease: 100 });
+    const held = locks.request('job', {}, () => delay(300));
+    await delay(10);
+
+    const error = await locks.request('job', { timeout: 200 }, () => {}).catch(e => e);
+    expect(error.code).toBe('LOCK_TIMEOUT');
+    await held;
+  });
+
+  test('should share a lock between shared holders', async () => {
+    const locks = new LeaseLocks(localStorage, options);
+    let running = 0;
+    let most = 0;
+    const read = () => locks.request('doc', { mode: 'shared' }, async () => {
+      most = Math.max(most, ++running);
+      await delay(20);
+      running--;
+    });
+
+    await Promise.all([read(), read()]);
+    expect(most).toBe(2);
+  });
+});
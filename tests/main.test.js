@@ -29,12 +29,13 @@ const mockIndexedDB = {
 
 global.indexedDB = mockIndexedDB;
 
-// Mock LocalStorage
+// Mock LocalStorage; items are kept so lock leases can be read back
+const mockItems = new Map();
 const mockLocalStorage = {
-  setItem: jest.fn(),
-  getItem: jest.fn(),
-  removeItem: jest.fn(),
-  clear: jest.fn(),
+  setItem: jest.fn((key, value) => mockItems.set(key, String(value))),
+  getItem: jest.fn(key => (mockItems.has(key) ? mockItems.get(key) : null)),
+  removeItem: jest.fn(key => mockItems.delete(key)),
+  clear: jest.fn(() => mockItems.clear()),
   key: jest.fn(),
   length: 0
 };
@@ -199,4 +200,41 @@ describe('LocalStorageAPI', () => {
     const unfrozen = storage.unfreeze();
     expect(unfrozen).toBeInstanceOf(LocalStorageAPI);
   });
-});
\ No newline at end of file
+});
+describe('Layer registry', () => {
+  const MemoryStorage = require('../src/core/memory');
+
+  test('should create registered layers from the layers option', async () => {
+    const factory = jest.fn((namespace, options) => Object.assign(new MemoryStorage(namespace), { options }));
+    LocalStorageAPI.registerLayer('custom-explicit', factory);
+
+    const storage = new LocalStorageAPI({ namespace: 'ns', layers: ['custom-explicit'], 'custom-explicit': { flag: true } });
+    expect(factory).toHaveBeenCalledWith('ns', expect.objectContaining({ flag: true }), storage);
+    expect(storage.currentLayer.options.flag).toBe(true);
+
+    await storage.set('key1', 'value1');
+    expect(await storage.currentLayer.get('key1')).toBeTruthy();
+  });
+
+  test('should pick layers by priority during automatic selection', () => {
+    const layer = new MemoryStorage('ns');
+    LocalStorageAPI.registerLayer('custom-priority', () => layer, { priority: 100 });
+    try {
+      expect(new LocalStorageAPI({ namespace: 'ns' }).currentLayer).toBe(layer);
+    } finally {
+      LocalStorageAPI.registerLayer('custom-priority', () => layer, { enabled: () => false });
+    }
+    expect(new LocalStorageAPI({ namespace: 'ns' }).currentLayer).not.toBe(layer);
+  });
+
+  test('should fall back to memory when no listed layer is supported', () => {
+    const unsupported = Object.assign(new MemoryStorage(), { supports: () => false });
+    const storage = new LocalStorageAPI({ layers: [unsupported] });
+    expect(storage.supports().current).toBe('MemoryStorage');
+    expect(storage.currentLayer).not.toBe(unsupported);
+  });
+
+  test('should reject unknown layer names', () => {
+    expect(() => new LocalStorageAPI({ layers: ['floppy'] })).toThrow(StorageError);
+  });
+});
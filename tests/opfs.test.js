@@ -0,0 +1,95 @@
+/**
+ * Tests for the OPFS storage layer
+ * Created by Ramkrishna Bhatt V, Milagres PU College, Kallianpur, Udupi
+ * License: MIT
+ */
+
+const OPFSStorage = require('../src/core/opfs');
+const { FakeDirectoryHandle } = require('./fakes/opfs');
+
+describe.each([
+  ['async file handles', false],
+  ['sync access handles', true]
+])('OPFSStorage with %s', (label, useSyncHandles) => {
+  let root;
+  let layer;
+
+  beforeEach(() => {
+    root = new FakeDirectoryHandle();
+    layer = new OPFSStorage('app', { root, useSyncHandles });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should store values as files in a namespace directory', async () => {
+    await layer.set('user/1', { name: 'Alice' });
+
+    const directory = await root.getDirectoryHandle('lsa_app');
+    expect(Array.from(directory.children.keys())).toEqual(['user%2F1.json']);
+    expect(await layer.get('user/1')).toEqual({ name: 'Alice' });
+    expect(await layer.keys()).toEqual(['user/1']);
+  });
+
+  test('should overwrite shorter values cleanly', async () => {
+    await layer.set('key1', 'a much longer first value');
+    await layer.set('key1', 'short');
+    expect(await layer.get('key1')).toBe('short');
+  });
+
+  test('should remove and clear values', async () => {
+    await layer.set('key1', 1);
+    await layer.set('key2', 2);
+    await layer.remove('key1');
+    await layer.remove('missing');
+    expect(await layer.exportAll()).toEqual({ key2: 2 });
+
+    await layer.clear();
+    expect(await layer.size()).toBe(0);
+  });
+
+  test('should expire entries by TTL', async () => {
+    const now = Date.now();
+    jest.spyOn(Date, 'now').mockReturnValue(now);
+    await layer.set('key1', 'value1', 10);
+    expect(await layer.has('key1')).toBe(true);
+
+    Date.now.mockReturnValue(now + 11000);
+    expect(await layer.get('key1')).toBeNull();
+    expect(await layer.keys()).toEqual([]);
+  });
+
+  test('should run concurrent operations on one key', async () => {
+    await layer.set('key1', 'a');
+    expect(await Promise.all([layer.get('key1'), layer.get('key1')])).toEqual(['a', 'a']);
+
+    await Promise.all([layer.set('key1', 'b'), layer.get('key1'), layer.remove('key2')]);
+    expect(await layer.get('key1')).toBe('b');
+    expect(layer.fileQueues.size).toBe(0);
+  });
+
+  test('should continue versions of concurrent writes', async () => {
+    await Promise.all([layer.set('key1', 1), layer.set('key1', 2), layer.set('key1', 3)]);
+
+    expect(await layer.getRecord('key1')).toEqual(expect.objectContaining({ value: 3, version: 3 }));
+  });
+
+  test('should import data and isolate namespaces', async () => {
+    await layer.importAll({ key1: 1, key2: 2 });
+    const other = new OPFSStorage('other', { root, useSyncHandles });
+
+    expect(await layer.size()).toBe(2);
+    expect(await other.size()).toBe(0);
+  });
+});
+
+describe('OPFSStorage support detection', () => {
+  test('should not be supported without navigator.storage', () => {
+    expect(new OPFSStorage('app').supports()).toBe(false);
+  });
+
+  test('should be supported with an injected root', () => {
+    expect(new OPFSStorage('app', { root: new FakeDirectoryHandle() }).supports()).toBe(true);
+  });
+});
@@ -0,0 +1,154 @@
+/**
+ * Tests for quota errors, recovery policies and usage estimates
+ * Created by Ramkrishna Bhatt V, Milagres PU College, Kallianpur, Udupi
+ * License: MIT
+ */
+
+const { QuotaExceededError, StorageError } = require('../src/main');
+const MemoryStorage = require('../src/core/memory');
+const LocalStorageStorage = require('../src/core/localstorage');
+const { FakeStorage } = require('./fakes/web-storage');
+const { createStorage } = require('./fakes/storage');
+
+// Records of 1000-character values take about 1200 characters, so two of
+// them fit in the quota and a third does not
+const VALUE = 'x'.repeat(1000);
+const QUOTA = 3000;
+
+describe('Quota exceeded', () => {
+  let now;
+
+  beforeEach(() => {
+    global.localStorage = new FakeStorage(QUOTA);
+    now = Date.now();
+    jest.spyOn(Date, 'now').mockImplementation(() => now++);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    delete global.localStorage;
+  });
+
+  test('should report a full layer as QuotaExceededError with the rejected write', async () => {
+    const storage = createStorage({ layers: [new LocalStorageStorage('app')], onQuotaExceeded: 'reject' });
+    await storage.set('a', VALUE);
+    await storage.set('b', VALUE);
+
+    const error = await storage.set('c', VALUE).catch(e => e);
+    expect(error).toBeInstanceOf(QuotaExceededError);
+    expect(error).toBeInstanceOf(StorageError);
+    expect(error.code).toBe('QUOTA_EXCEEDED');
+    expect(error.key).toBe('c');
+    expect(error.size).toBe(2004);
+    expect(error.cause.name).toBe('QuotaExceededError');
+    expect(storage.errorEvents).toEqual([{ action: 'set', key: 'c', error }]);
+    expect(await storage.keys()).toEqual(['a', 'b']);
+  });
+
+  test('should reject by default instead of falling back', async () => {
+    const storage = createStorage({ layers: [new LocalStorageStorage('app'), new MemoryStorage('app')] });
+    await storage.set('a', VALUE);
+    await storage.set('b', VALUE);
+
+    await expect(storage.set('c', VALUE)).rejects.toThrow(QuotaExceededError);
+    expect(storage.supports().current).toBe('LocalStorageStorage');
+  });
+
+  test('should fall back to the next layer when asked', async () => {
+    const storage = createStorage({
+      layers: [new LocalStorageStorage('app'), new MemoryStorage('app')],
+      onQuotaExceeded: 'fallback'
+    });
+    const listener = jest.fn();
+    storage.on('layerchange', listener);
+    await storage.set('a', VALUE);
+    await storage.set('b', VALUE);
+    await storage.set('c', VALUE);
+
+    expect(storage.supports().current).toBe('MemoryStorage');
+    expect(listener.mock.calls[0][0].error).toBeInstanceOf(QuotaExceededError);
+    expect((await storage.keys()).sort()).toEqual(['a', 'b', 'c']);
+  });
+
+  test('should reject when there is no layer to fall back to', async () => {
+    const storage = createStorage({ layers: [new LocalStorageStorage('app')], onQuotaExceeded: 'fallback', failover: false });
+    await storage.set('a', VALUE);
+    await storage.set('b', VALUE);
+
+    await expect(storage.set('c', VALUE)).rejects.toThrow(QuotaExceededError);
+  });
+
+  test('should evict entries to make room', async () => {
+    const storage = createStorage({ layers: [new LocalStorageStorage('app')], onQuotaExceeded: 'evict' });
+    const evicted = [];
+    storage.on('evict', ({ key }) => evicted.push(key));
+    await storage.set('a', VALUE);
+    await storage.set('b', VALUE);
+    await storage.set('c', VALUE);
+
+    expect(evicted).toEqual(['a']);
+    expect((await storage.keys()).sort()).toEqual(['b', 'c']);
+    expect(storage.supports().current).toBe('LocalStorageStorage');
+  });
+
+  test('should reject a write larger than the quota after evicting everything else', async () => {
+    const storage = createStorage({ layers: [new LocalStorageStorage('app')], onQuotaExceeded: 'evict' });
+    await storage.set('a', VALUE);
+
+    await expect(storage.set('huge', 'x'.repeat(QUOTA))).rejects.toThrow(QuotaExceededError);
+    expect(await storage.keys()).toEqual([]);
+  });
+
+  test('should map full disks in Node to QuotaExceededError', async () => {
+    const layer = new MemoryStorage('app');
+    const storage = createStorage({ layers: [layer], onQuotaExceeded: 'reject' });
+    const full = Object.assign(new Error('no space left on device'), { code: 'ENOSPC' });
+    jest.spyOn(layer, 'set').mockRejectedValue(full);
+
+    const error = await storage.set('key', 'value').catch(e => e);
+    expect(error).toBeInstanceOf(QuotaExceededError);
+    expect(error.cause).toBe(full);
+  });
+
+  test('should reject unknown quota policies', () => {
+    expect(() => createStorage({ layers: [new MemoryStorage('app')], onQuotaExceeded: 'ignore' })).toThrow(StorageError);
+  });
+});
+
+describe('estimateUsage()', () => {
+  afterEach(() => {
+    delete global.navigator;
+  });
+
+  test('should report the namespace usage with the browser estimate', async () => {
+    global.navigator = { storage: { estimate: async () => ({ usage: 1000, quota: 5000 }) } };
+    const storage = createStorage({ layers: [new MemoryStorage('app')], maxEntries: 10 });
+    await storage.set('a', 'x'.repeat(100));
+    await storage.set('b', 'x'.repeat(100));
+
+    expect(await storage.estimateUsage()).toEqual({
+      namespace: 'app',
+      layer: 'MemoryStorage',
+      entries: 2,
+      bytes: 408,
+      maxEntries: 10,
+      maxBytes: Infinity,
+      usage: 1000,
+      quota: 5000,
+      available: 4000
+    });
+  });
+
+  test('should count unbounded namespaces without a browser estimate', async () => {
+    const storage = createStorage({ layers: [new MemoryStorage('app')] });
+    await storage.set('a', 'x'.repeat(100));
+
+    expect(await storage.estimateUsage()).toEqual(expect.objectContaining({
+      entries: 1,
+      bytes: 204,
+      usage: null,
+      quota: null,
+      available: null
+    }));
+  });
+});
@@ -0,0 +1,164 @@
+/**
+ * Tests for the remote storage layer
+ * Created by Ramkrishna Bhatt V, Milagres PU College, Kallianpur, Udupi
+ * License: MIT
+ */
+
+const RemoteStorage = require('../src/core/remote');
+const { LocalStorageAPI } = require('../src/main');
+const { defineLayerConformanceTests } = require('../src/conformance');
+const { createStubServer } = require('./fakes/remote-server');
+const { fetch } = require('./fakes/fetch');
+
+let server;
+
+beforeAll(async () => {
+  server = await createStubServer().listen();
+});
+
+afterAll(async () => {
+  await server.close();
+});
+
+beforeEach(() => {
+  server.requests = [];
+  server.failures = [];
+  server.delay = 0;
+});
+
+defineLayerConformanceTests('RemoteStorage', (namespace) =>
+  new RemoteStorage(namespace, { endpoint: server.endpoint, fetch, retryDelay: 1 }));
+
+describe('RemoteStorage', () => {
+  let layer;
+
+  beforeEach(() => {
+    layer = new RemoteStorage('app', { endpoint: server.endpoint, fetch, retryDelay: 1 });
+  });
+
+  test('should map operations onto REST requests', async () => {
+    await layer.set('user/1', 'Alice');
+    expect(await layer.get('user/1')).toBe('Alice');
+    await layer.remove('user/1');
+    await layer.clear();
+
+    expect(server.requests.map(r => `${r.method} ${r.key === undefined ? '' : r.key}`)).toEqual([
+      'GET user/1', 'PUT user/1', 'GET user/1', 'DELETE user/1', 'DELETE '
+    ]);
+  });
+
+  test('should batch writes issued together', async () => {
+    await Promise.all([layer.set('a', 1), layer.set('b', 2), layer.remove('a')]);
+
+    expect(server.requests.map(r => `${r.method} ${r.key}`).sort()).toEqual(['GET a', 'GET b', 'POST _batch']);
+    const batch = server.requests.find(r => r.method === 'POST');
+    expect(batch.body.operations.map(o => o.op)).toEqual(['set', 'set', 'remove']);
+    expect(await layer.exportAll()).toEqual({ b: 2 });
+  });
+
+  test('should continue versions of stored and batched entries', async () => {
+    await layer.set('x', 1);
+    await Promise.all([layer.set('x', 2), layer.set('x', 3), layer.set('y', 1)]);
+
+    expect(await layer.getRecord('x')).toEqual(expect.objectContaining({ value: 3, version: 3 }));
+    expect(await layer.getRecord('y')).toEqual(expect.objectContaining({ value: 1, version: 1 }));
+
+    await layer.putRecord('x', { value: 4, createdAt: 0, updatedAt: 0, version: 9, ttl: null });
+    await layer.remove('y');
+    await layer.set('x', 5);
+    await layer.set('y', 2);
+    expect((await layer.getRecord('x')).version).toBe(10);
+    expect((await layer.getRecord('y')).version).toBe(1);
+  });
+
+  test('should only read keys it has not seen before writing them', async () => {
+    await layer.set('seen', 1);
+    server.requests = [];
+    await Promise.all([layer.set('seen', 2), layer.set('seen', 3)]);
+
+    expect(server.requests.map(r => r.method)).toEqual(['POST']);
+    expect((await layer.getRecord('seen')).version).toBe(3);
+  });
+
+  test('should write keys that cannot be read as new ones', async () => {
+    server.namespaces.get('app').set('corrupt', 'not a record');
+    server.failures = [400];
+    await Promise.all([layer.set('corrupt', 1), layer.set('failed', 1)]);
+
+    expect(await layer.getRecord('corrupt')).toEqual(expect.objectContaining({ value: 1, version: 1 }));
+    expect(await layer.getRecord('failed')).toEqual(expect.objectContaining({ value: 1, version: 1 }));
+  });
+
+  test('should send auth headers from a function', async () => {
+    let token = 0;
+    layer = new RemoteStorage('app', { endpoint: server.endpoint, fetch, headers: async () => ({ Authorization: `Bearer ${++token}` }) });
+    await layer.get('a');
+    await layer.get('b');
+
+    expect(server.requests.map(r => r.headers.authorization)).toEqual(['Bearer 1', 'Bearer 2']);
+  });
+
+  test('should retry server errors up to maxRetries', async () => {
+    layer = new RemoteStorage('app', { endpoint: server.endpoint, fetch, maxRetries: 2, retryDelay: 1 });
+    const record = { value: 1, createdAt: 0, updatedAt: 0, version: 1, ttl: null };
+    server.failures = [503, 500];
+    await layer.putRecord('a', record);
+    expect(server.requests).toHaveLength(3);
+
+    server.requests = [];
+    server.failures = [503, 503, 503];
+    await expect(layer.putRecord('b', record)).rejects.toThrow('Remote storage request failed: PUT 503');
+    expect(server.requests).toHaveLength(3);
+  });
+
+  test('should not retry client errors', async () => {
+    server.failures = [401];
+    await expect(layer.get('a')).rejects.toMatchObject({ status: 401 });
+    expect(server.requests).toHaveLength(1);
+  });
+
+  test('should only read 404 responses as missing keys', async () => {
+    expect(await layer.get('missing')).toBeNull();
+
+    server.failures = [404];
+    await expect(layer.putRecord('a', { value: 1, createdAt: 0, updatedAt: 0, version: 1, ttl: null }))
+      .rejects.toMatchObject({ status: 404 });
+    server.failures = [404];
+    await expect(layer.clear()).rejects.toMatchObject({ status: 404 });
+    expect(server.requests).toHaveLength(3);
+  });
+
+  test('should time out slow requests', async () => {
+    layer = new RemoteStorage('app', { endpoint: server.endpoint, fetch, timeout: 20, maxRetries: 0 });
+    server.delay = 200;
+    await expect(layer.get('a')).rejects.toThrow('timed out after 20ms');
+  });
+
+  test('should take maxRetries from the storage profile', () => {
+    const storage = new LocalStorageAPI({ profile: 'ultra-fast', remote: { endpoint: server.endpoint, fetch } });
+    expect(storage.supports().current).toBe('RemoteStorage');
+    expect(storage.supports().remote).toBe(true);
+    expect(storage.currentLayer.maxRetries).toBe(1);
+  });
+
+  test('should keep the remote layer after a rejected request', async () => {
+    const storage = new LocalStorageAPI({ namespace: 'rejected', remote: { endpoint: server.endpoint, fetch } });
+    storage.on('error', () => {});
+    await storage.set('big', 'small');
+    server.failures = [413];
+    await expect(storage.set('big', 'value')).rejects.toMatchObject({ status: 413 });
+
+    expect(storage.supports().current).toBe('RemoteStorage');
+    await storage.set('small', 'value');
+    expect(server.namespaces.get('rejected').has('small')).toBe(true);
+  });
+
+  test('should round-trip values through LocalStorageAPI', async () => {
+    const storage = new LocalStorageAPI({ namespace: 'api', remote: { endpoint: server.endpoint, fetch } });
+    await storage.set('user', { name: 'Alice' });
+    storage.cache.clear();
+
+    expect(await storage.get('user')).toEqual({ name: 'Alice' });
+    expect(server.namespaces.get('api').has('user')).toBe(true);
+  });
+});
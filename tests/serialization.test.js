@@ -0,0 +1,170 @@
+/**
+ * Tests for serialization and record envelopes
+ * Created by Ramkrishna Bhatt V, Milagres PU College, Kallianpur, Udupi
+ * License: MIT
+ */
+
+const { LocalStorageAPI, SerializationError } = require('../src/main');
+const MemoryStorage = require('../src/core/memory');
+const LocalStorageStorage = require('../src/core/localstorage');
+const zlib = require('zlib');
+const { FakeStorage } = require('./fakes/web-storage');
+const { createStorage } = require('./fakes/storage');
+
+// Jest's vm context lacks the Symbol.dispose Node adds to the main realm,
+// which @msgpack/msgpack relies on
+if (!Symbol.dispose) Symbol.dispose = Symbol.for('nodejs.dispose');
+
+describe('Record envelope', () => {
+  test('should record the format a value was written with', async () => {
+    const storage = new LocalStorageAPI({ profile: 'low-memory', version: 3 });
+    await storage.set('plain', 'hello', { compression: 'none' });
+
+    const envelope = await storage.currentLayer.get('plain');
+    expect(envelope).toEqual({ $lsa: 1, s: 'json', c: 'none', e: false, b: false, v: 3, d: '"hello"', h: expect.stringMatching(/^crc32:/) });
+    storage.cache.clear();
+    expect(await storage.get('plain')).toBe('hello');
+  });
+
+  test('should read values written under another profile', async () => {
+    const layer = new MemoryStorage('shared');
+    const compressed = new LocalStorageAPI({ profile: 'low-memory', layers: [layer] });
+    await compressed.set('user', { name: 'Alice' });
+
+    const fast = new LocalStorageAPI({ profile: 'ultra-fast', layers: [layer] });
+    await fast.set('token', 'abc');
+
+    expect(await fast.get('user')).toEqual({ name: 'Alice' });
+    expect(await compressed.exportAll()).toEqual({ user: { name: 'Alice' }, token: 'abc' });
+  });
+
+  test('should only decrypt records that were encrypted', async () => {
+    const layer = new MemoryStorage('secure');
+    const encryption = {
+      preWriteEncrypt: async (data) => Buffer.from(data).toString('base64'),
+      postReadDecrypt: async (data) => Buffer.from(data, 'base64').toString()
+    };
+    await new LocalStorageAPI({ layers: [layer] }).set('old', 'plain');
+    const storage = new LocalStorageAPI({ layers: [layer], encryption });
+    await storage.set('new', 'secret');
+
+    expect((await layer.get('new')).d).not.toContain('secret');
+    expect(await storage.exportAll()).toEqual({ old: 'plain', new: 'secret' });
+
+    const reader = createStorage({ layers: [layer] });
+    await expect(reader.get('new')).rejects.toThrow(SerializationError);
+    expect(reader.errorEvents).toEqual([expect.objectContaining({ action: 'get', key: 'new' })]);
+  });
+
+  test('should decode records written before envelopes with the profile', async () => {
+    const layer = new MemoryStorage('legacy');
+    await layer.set('old', JSON.stringify({ a: 1 }));
+
+    const storage = new LocalStorageAPI({ layers: [layer] });
+    expect(await storage.get('old')).toEqual({ a: 1 });
+  });
+
+  test('should reject unknown formats', async () => {
+    const storage = createStorage();
+    await expect(storage.set('key', 1, { compression: 'zstd' })).rejects.toThrow(SerializationError);
+    expect(storage.errorEvents).toEqual([expect.objectContaining({ action: 'set', key: 'key' })]);
+
+    await storage.currentLayer.set('bad', { $lsa: 1, s: 'cbor', c: 'none', e: false, b: false, v: 1, d: '' });
+    await expect(storage.get('bad')).rejects.toThrow('Unknown serialization strategy: cbor');
+  });
+});
+
+describe('Serializer and compressor registries', () => {
+  beforeAll(() => {
+    LocalStorageAPI.registerSerializer('reversed-json', {
+      serialize: (data) => JSON.stringify(data).split('').reverse().join(''),
+      deserialize: (data) => JSON.parse(data.split('').reverse().join(''))
+    });
+    LocalStorageAPI.registerCompressor('rle', {
+      compress: async (data) => data.replace(/(.)\1+/g, (run, char) => `${char}~${run.length}~`),
+      decompress: async (data) => data.replace(/(.)~(\d+)~/g, (match, char, count) => char.repeat(Number(count)))
+    });
+  });
+
+  test('should use registered codecs from a profile object', async () => {
+    const storage = new LocalStorageAPI({ profile: { serialization: 'reversed-json', compression: 'rle' } });
+    await storage.set('key', { text: 'aaaaab' });
+
+    expect((await storage.currentLayer.get('key')).d).toBe('}"ba~5~":"txet"{');
+    storage.cache.clear();
+    expect(await storage.get('key')).toEqual({ text: 'aaaaab' });
+  });
+
+  test('should use registered codecs from per-call options', async () => {
+    const storage = new LocalStorageAPI({ profile: 'ultra-fast' });
+    await storage.set('key', 'zzz', { serialization: 'reversed-json', compression: 'rle' });
+
+    expect(await storage.currentLayer.get('key')).toMatchObject({ s: 'reversed-json', c: 'rle' });
+    storage.cache.clear();
+    expect(await storage.get('key')).toBe('zzz');
+  });
+
+  test('should reject incomplete codecs and unknown names', async () => {
+    expect(() => LocalStorageAPI.registerSerializer('broken', { serialize: String })).toThrow(SerializationError);
+    expect(() => LocalStorageAPI.registerCompressor('broken', {})).toThrow(SerializationError);
+
+    const storage = createStorage({ profile: { serialization: 'cbor' } });
+    await expect(storage.set('key', 1)).rejects.toThrow('Unknown serialization strategy: cbor');
+  });
+});
+
+describe('Binary pipeline', () => {
+  const value = { name: 'Alice', scores: [1, 2, 3], bytes: new Uint8Array([0, 255, 128]) };
+
+  beforeEach(() => {
+    global.localStorage = new FakeStorage();
+  });
+
+  afterEach(() => {
+    delete global.localStorage;
+  });
+
+  test('should round-trip msgpack with lz-string compression', async () => {
+    const storage = new LocalStorageAPI({ profile: { serialization: 'msgpack', compression: 'lz-string' }, layers: [new MemoryStorage('bin')] });
+    await storage.set('user', value);
+    storage.cache.clear();
+
+    const envelope = await storage.currentLayer.get('user');
+    expect(envelope).toMatchObject({ s: 'msgpack', c: 'lz-string', b: true });
+    expect(typeof envelope.d).toBe('string');
+    expect(await storage.get('user')).toEqual(value);
+  });
+
+  test('should store binary payloads as ArrayBuffers', async () => {
+    const storage = new LocalStorageAPI({ profile: { serialization: 'msgpack' }, layers: [new MemoryStorage('bin')] });
+    await storage.set('user', value);
+
+    const envelope = await storage.currentLayer.get('user');
+    expect(Object.prototype.toString.call(envelope.d)).toBe('[object ArrayBuffer]');
+    storage.cache.clear();
+    expect(await storage.get('user')).toEqual(value);
+  });
+
+  test('should store binary payloads as base64 in string-only layers', async () => {
+    const storage = new LocalStorageAPI({ profile: { serialization: 'msgpack' }, layers: [new LocalStorageStorage('bin')] });
+    await storage.set('user', value);
+
+    expect(JSON.parse(localStorage.getItem('lsa_bin_user')).value.d).toEqual({ __lsaBinary: expect.any(String) });
+    storage.cache.clear();
+    expect(await storage.get('user')).toEqual(value);
+  });
+
+  test('should pass text to binary compressors and restore it', async () => {
+    LocalStorageAPI.registerCompressor('deflate-test', {
+      binary: true,
+      compress: (data) => zlib.deflateSync(data),
+      decompress: (data) => zlib.inflateSync(data)
+    });
+    const storage = new LocalStorageAPI({ profile: { compression: 'deflate-test' }, layers: [new LocalStorageStorage('bin')] });
+    await storage.set('user', value);
+    storage.cache.clear();
+
+    expect(await storage.currentLayer.get('user')).toMatchObject({ s: 'json', b: false });
+    expect(await storage.get('user')).toEqual(value);
+  });
+});
@@ -0,0 +1,188 @@
+/**
+ * Tests for tiered storage
+ * Created by Ramkrishna Bhatt V, Milagres PU College, Kallianpur, Udupi
+ * License: MIT
+ */
+
+const TieredStorage = require('../src/core/tiered');
+const MemoryStorage = require('../src/core/memory');
+const { LocalStorageAPI } = require('../src/main');
+
+describe('TieredStorage', () => {
+  let l1;
+  let l2;
+
+  beforeEach(() => {
+    l1 = new MemoryStorage();
+    l2 = new MemoryStorage();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should write through to every tier', async () => {
+    const tiered = new TieredStorage([{ layer: l1 }, { layer: l2 }]);
+    await tiered.set('key1', 'value1');
+
+    expect(await l1.get('key1')).toBe('value1');
+    expect(await l2.get('key1')).toBe('value1');
+  });
+
+  test('should read through and populate faster tiers', async () => {
+    const tiered = new TieredStorage([{ layer: l1 }, { layer: l2 }]);
+    await l2.set('key1', 'value1');
+
+    expect(await tiered.get('key1')).toBe('value1');
+    expect(await l1.get('key1')).toBe('value1');
+  });
+
+  test('should defer slower tiers in write-back mode', async () => {
+    const tiered = new TieredStorage([{ layer: l1 }, { layer: l2 }], { writePolicy: 'write-back', flushInterval: -1 });
+    await tiered.set('key1', 'value1');
+
+    expect(await l2.get('key1')).toBeNull();
+    expect(await tiered.get('key1')).toBe('value1');
+
+    await tiered.flush();
+    expect(await l2.get('key1')).toBe('value1');
+  });
+
+  test('should flush write-back entries on a timer', async () => {
+    jest.useFakeTimers();
+    const tiered = new TieredStorage([{ layer: l1 }, { layer: l2 }], { writePolicy: 'write-back', flushInterval: 100 });
+    await tiered.set('key1', 'value1');
+
+    await jest.advanceTimersByTimeAsync(100);
+    jest.useRealTimers();
+    expect(await l2.get('key1')).toBe('value1');
+  });
+
+  test('should evict the least recently used entry from a bounded tier', async () => {
+    const tiered = new TieredStorage([{ layer: l1, maxEntries: 2 }, { layer: l2 }]);
+    await tiered.set('a', 1);
+    await tiered.set('b', 2);
+    await tiered.get('a');
+    await tiered.set('c', 3);
+
+    expect(await l1.keys()).toEqual(['a', 'c']);
+    expect(await tiered.get('b')).toBe(2);
+  });
+
+  test('should flush dirty entries before evicting them', async () => {
+    const tiered = new TieredStorage([{ layer: l1, maxEntries: 1 }, { layer: l2 }], { writePolicy: 'write-back', flushInterval: -1 });
+    await tiered.set('a', 1);
+    await tiered.set('b', 2);
+
+    expect(await l1.keys()).toEqual(['b']);
+    expect(await l2.get('a')).toBe(1);
+  });
+
+  test('should keep one version across tiers after an eviction', async () => {
+    const tiered = new TieredStorage([{ layer: l1, maxEntries: 1 }, { layer: l2 }]);
+    await tiered.set('a', 1);
+    await tiered.set('a', 2);
+    await tiered.set('b', 1);
+    await tiered.set('a', 3);
+
+    expect(await l1.getRecord('a')).toEqual(expect.objectContaining({ value: 3, version: 3 }));
+    expect(await l2.getRecord('a')).toEqual(expect.objectContaining({ value: 3, version: 3 }));
+  });
+
+  test('should continue versions of entries that were not flushed yet', async () => {
+    const tiered = new TieredStorage([{ layer: l1 }, { layer: l2 }], { writePolicy: 'write-back', flushInterval: -1 });
+    await tiered.set('a', 1);
+    await tiered.set('a', 2);
+    await tiered.flush();
+
+    expect(await l2.getRecord('a')).toEqual(expect.objectContaining({ value: 2, version: 2 }));
+  });
+
+  test('should cap TTL per tier', async () => {
+    const now = Date.now();
+    jest.spyOn(Date, 'now').mockReturnValue(now);
+    const tiered = new TieredStorage([{ layer: l1, ttl: 10 }, { layer: l2 }]);
+    await tiered.set('key1', 'value1');
+
+    Date.now.mockReturnValue(now + 11000);
+    expect(await l1.get('key1')).toBeNull();
+    expect(await tiered.get('key1')).toBe('value1');
+  });
+
+  test('should keep dirty entries past the L1 tier TTL until they are flushed', async () => {
+    const now = Date.now();
+    jest.spyOn(Date, 'now').mockReturnValue(now);
+    const tiered = new TieredStorage([{ layer: l1, ttl: 10 }, { layer: l2 }], { writePolicy: 'write-back', flushInterval: -1 });
+    await tiered.set('key1', 'value1');
+
+    Date.now.mockReturnValue(now + 11000);
+    await tiered.flush();
+    expect(await l2.get('key1')).toBe('value1');
+
+    Date.now.mockReturnValue(now + 22000);
+    expect(await l1.get('key1')).toBeNull();
+    expect(await tiered.get('key1')).toBe('value1');
+  });
+
+  test('should read past a capped tier in get() when the full expiry is unknown', async () => {
+    await l1.putRecord('key1', { value: 'stale', createdAt: 0, updatedAt: 0, version: 1, ttl: null });
+    await l2.set('key1', 'value1');
+    const tiered = new TieredStorage([{ layer: l1, ttl: 10 }, { layer: l2 }]);
+
+    expect(await tiered.get('key1')).toBe('value1');
+  });
+
+  test('should forget expiries of evicted and expired entries', async () => {
+    const now = Date.now();
+    jest.spyOn(Date, 'now').mockReturnValue(now);
+    const tiered = new TieredStorage([{ layer: l1, maxEntries: 1 }, { layer: l2 }]);
+    await tiered.set('a', 1);
+    await tiered.set('b', 2, 5);
+    expect(Array.from(tiered.expiries.keys())).toEqual(['b']);
+
+    Date.now.mockReturnValue(now + 6000);
+    expect(await tiered.get('b')).toBeNull();
+    expect(tiered.expiries.size).toBe(0);
+  });
+
+  test('should remove, list and clear across tiers', async () => {
+    const tiered = new TieredStorage([{ layer: l1 }, { layer: l2 }]);
+    await l2.set('old', 0);
+    await tiered.set('key1', 1);
+    await tiered.set('key2', 2);
+    await tiered.remove('key1');
+
+    expect((await tiered.keys()).sort()).toEqual(['key2', 'old']);
+    expect(await tiered.size()).toBe(2);
+
+    await tiered.clear();
+    expect(await l2.size()).toBe(0);
+  });
+});
+
+describe('LocalStorageAPI tiers option', () => {
+  test('should build tiers from layer names and instances', async () => {
+    const l2 = new MemoryStorage();
+    const storage = new LocalStorageAPI({ tiers: [{ layer: 'memory', maxEntries: 10 }, { layer: l2 }] });
+
+    expect(storage.supports().current).toBe('TieredStorage');
+    await storage.set('user', { name: 'Alice' });
+    expect(await storage.get('user')).toEqual({ name: 'Alice' });
+    expect(await l2.get('user')).toBeTruthy();
+  });
+
+  test('should not let setIf() accept a stale version after an eviction', async () => {
+    const storage = new LocalStorageAPI({ tiers: [{ layer: 'memory', maxEntries: 1 }, 'memory'] });
+    await storage.set('a', 1);
+    await storage.set('a', 2);
+    await storage.set('b', 1);
+    await storage.set('a', 3);
+
+    expect(await storage.getVersion('a')).toBe(3);
+    await expect(storage.setIf('a', 4, { ifVersion: 1 })).rejects.toMatchObject({ code: 'CONFLICT' });
+  });
+
+  test('should reject unknown layer names', () => {
+    expect(() => new LocalStorageAPI({ tiers: ['floppy'] })).toThrow('Unknown storage layer: floppy');
+  });
+});
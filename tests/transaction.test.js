@@ -0,0 +1,196 @@
+/**
+ * Tests for multi-key transactions
+ * Created by Ramkrishna Bhatt V, Milagres PU College, Kallianpur, Udupi
+ * License: MIT
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { QuotaExceededError, StorageError } = require('../src/main');
+const MemoryStorage = require('../src/core/memory');
+const LocalStorageStorage = require('../src/core/localstorage');
+const FileSystemStorage = require('../src/core/filesystem');
+const WriteAheadLogStorage = require('../src/core/wal');
+const { FakeStorage } = require('./fakes/web-storage');
+const { createStorage } = require('./fakes/storage');
+
+describe('transaction()', () => {
+  let layer;
+  let storage;
+
+  beforeEach(() => {
+    layer = new MemoryStorage('app');
+    storage = createStorage({ layers: [layer] });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should commit all staged writes when the callback returns', async () => {
+    await storage.set('stock', 5);
+    const changes = [];
+    storage.on('change', ({ key }) => changes.push(key));
+    storage.on('delete', ({ key }) => changes.push(`-${key}`));
+
+    const result = await storage.transaction(async (tx) => {
+      const stock = await tx.get('stock');
+      await tx.set('stock', stock - 1);
+      await tx.set('cart', ['apple']);
+      await tx.remove('draft');
+
+      expect(await tx.get('stock')).toBe(4);
+      expect(await tx.has('draft')).toBe(false);
+      expect(await layer.has('cart')).toBe(false);
+      expect(changes).toEqual([]);
+      return 'done';
+    });
+
+    expect(result).toBe('done');
+    expect(changes).toEqual(['stock', 'cart', '-draft']);
+    storage.cache.clear();
+    expect(await storage.getMany(['stock', 'cart'])).toEqual({ stock: 4, cart: ['apple'] });
+  });
+
+  test('should write nothing when the callback throws', async () => {
+    await storage.set('a', 1);
+
+    await expect(storage.transaction(async (tx) => {
+      await tx.set('a', 2);
+      await tx.set('b', 2);
+      throw new Error('out of stock');
+    })).rejects.toThrow('out of stock');
+
+    expect(await layer.keys()).toEqual(['a']);
+    expect(await storage.get('a')).toBe(1);
+  });
+
+  test('should put written records back when a layer without commit() fails', async () => {
+    layer.commit = undefined;
+    await storage.set('a', 'old');
+    const putRecord = layer.putRecord.bind(layer);
+    jest.spyOn(layer, 'putRecord').mockImplementation(async (key, record) => {
+      if (key === 'c') throw new Error('disk error');
+      return putRecord(key, record);
+    });
+    storage = createStorage({ layers: [layer], failover: false });
+
+    await expect(storage.setMany([['a', 'new'], ['b', 'new'], ['c', 'new']])).rejects.toThrow('disk error');
+    expect(await layer.keys()).toEqual(['a']);
+    expect(await storage.get('a')).toBe('old');
+  });
+
+  test('should refuse writes after the transaction finished', async () => {
+    let saved;
+    await storage.transaction(async (tx) => { saved = tx; });
+
+    const error = await saved.set('late', 1).catch(e => e);
+    expect(error).toBeInstanceOf(StorageError);
+    expect(error.code).toBe('TRANSACTION_FINISHED');
+  });
+
+  test('should run hooks and keep expiry options', async () => {
+    storage.hooks.beforeSet = (key, value) => (key === 'skip' ? false : value.toUpperCase());
+    await storage.transaction(async (tx) => {
+      await tx.set('name', 'ann', { ttl: 60 });
+      await tx.set('skip', 'value');
+    });
+
+    expect(await layer.keys()).toEqual(['name']);
+    expect(await storage.get('name')).toBe('ANN');
+    expect(await storage.ttl('name')).toBeGreaterThan(59);
+  });
+
+  test('should keep the committed keys within capacity limits', async () => {
+    storage = createStorage({ layers: [layer], maxEntries: 2 });
+    await storage.set('old', 1);
+    await storage.setMany([['a', 1], ['b', 2]]);
+
+    expect((await layer.keys()).sort()).toEqual(['a', 'b']);
+  });
+});
+
+describe('Atomic batches', () => {
+  beforeEach(() => {
+    // Room for two of the 1000-character values below
+    global.localStorage = new FakeStorage(3000);
+  });
+
+  afterEach(() => {
+    delete global.localStorage;
+  });
+
+  test('should not leave a half-written batch in localStorage', async () => {
+    const storage = createStorage({ layers: [new LocalStorageStorage('app')], onQuotaExceeded: 'reject' });
+    await storage.set('a', 'small');
+    const before = { ...localStorage };
+
+    const value = 'x'.repeat(1000);
+    const error = await storage.setMany([['a', value], ['b', value], ['c', value]]).catch(e => e);
+    expect(error).toBeInstanceOf(QuotaExceededError);
+    expect(error.size).toBe(3 * 2004);
+    expect({ ...localStorage }).toEqual(before);
+  });
+
+  test('should remove all keys or none with deleteMany()', async () => {
+    const layer = new LocalStorageStorage('app');
+    const storage = createStorage({ layers: [layer], failover: false });
+    await storage.setMany([['a', 1], ['b', 2], ['c', 3]]);
+
+    let calls = 0;
+    const removeItem = jest.spyOn(localStorage, 'removeItem').mockImplementation(function (key) {
+      if (++calls === 2) throw new Error('storage disabled');
+      FakeStorage.prototype.removeItem.call(this, key);
+    });
+    await expect(storage.deleteMany(['a', 'b'])).rejects.toThrow('storage disabled');
+    removeItem.mockRestore();
+    expect((await layer.keys()).sort()).toEqual(['a', 'b', 'c']);
+
+    await storage.deleteMany(['a', 'b']);
+    expect(await layer.keys()).toEqual(['c']);
+  });
+});
+
+describe('Layer commit()', () => {
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'lsa-transaction-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  const operations = [
+    { key: 'a', record: { value: 1, createdAt: 1, updatedAt: 1, version: 1, ttl: null } },
+    { key: 'b', record: { value: 2, createdAt: 1, updatedAt: 1, version: 1, ttl: null } },
+    { key: 'old', record: null }
+  ];
+
+  test('should write the file once and restore the data on failure', async () => {
+    const layer = new FileSystemStorage('app', { directory });
+    await layer.set('old', 0);
+    const persist = jest.spyOn(layer, 'persist');
+
+    await layer.commit(operations);
+    expect(persist).toHaveBeenCalledTimes(1);
+    expect((await new FileSystemStorage('app', { directory }).keys()).sort()).toEqual(['a', 'b']);
+
+    jest.spyOn(fs.promises, 'rename').mockRejectedValueOnce(new Error('disk full'));
+    await expect(layer.commit([{ key: 'c', record: operations[0].record }])).rejects.toThrow('disk full');
+    expect((await layer.keys()).sort()).toEqual(['a', 'b']);
+  });
+
+  test('should append one journal entry per commit', async () => {
+    const layer = new WriteAheadLogStorage('app', { directory });
+    await layer.set('old', 0);
+    await layer.commit(operations);
+
+    const lines = fs.readFileSync(layer.logPath, 'utf8').trim().split('\n');
+    expect(lines).toHaveLength(2);
+    const reopened = new WriteAheadLogStorage('app', { directory });
+    expect(await reopened.exportAll()).toEqual({ a: 1, b: 2 });
+  });
+});
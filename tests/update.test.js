@@ -0,0 +1,112 @@
+/**
+ * Tests for update() and the update operators
+ * Created by Ramkrishna Bhatt V, Milagres PU College, Kallianpur, Udupi
+ * License: MIT
+ */
+
+const { StorageError } = require('../src/main');
+const MemoryStorage = require('../src/core/memory');
+const { createStorage } = require('./fakes/storage');
+
+describe('Update operators', () => {
+  let layer;
+  let storage;
+
+  beforeEach(() => {
+    layer = new MemoryStorage('app');
+    storage = createStorage({ layers: [layer] });
+  });
+
+  test('should replace the value with the result of update()', async () => {
+    await storage.set('name', 'ann');
+
+    expect(await storage.update('name', name => name.toUpperCase())).toBe('ANN');
+    expect(await storage.update('missing', current => current)).toBeNull();
+    expect(await storage.get('name')).toBe('ANN');
+  });
+
+  test('should not lose concurrent updates from other tabs', async () => {
+    const tabs = [storage, createStorage({ layers: [layer] })];
+    await storage.set('count', 0);
+    await tabs[1].get('count');
+
+    await Promise.all([0, 1, 0, 1, 0, 1].map(i => tabs[i].update('count', async (count) => {
+      await new Promise(resolve => setTimeout(resolve, 1));
+      return count + 1;
+    })));
+    expect(await storage.getEntry('count')).toEqual(expect.objectContaining({ value: 6, version: 7 }));
+  });
+
+  test('should run hooks and emit one change event per update', async () => {
+    const changes = [];
+    storage.on('change', ({ key, value }) => changes.push([key, value]));
+    storage.hooks.beforeSet = (key, value) => (typeof value === 'number' ? value * 10 : value);
+    storage.hooks.afterSet = jest.fn();
+
+    expect(await storage.increment('score', 1)).toBe(10);
+    expect(changes).toEqual([['score', 10]]);
+    expect(storage.hooks.afterSet).toHaveBeenCalledTimes(1);
+  });
+
+  test('should resolve with null when beforeSet cancels the write', async () => {
+    storage.hooks.beforeSet = () => false;
+
+    expect(await storage.increment('score')).toBeNull();
+    expect(await storage.get('score')).toBeNull();
+  });
+
+  test('should keep the expiry of the key', async () => {
+    await storage.set('hits', 1, { ttl: 60 });
+    await storage.increment('hits');
+
+    expect(await storage.ttl('hits')).toBeGreaterThan(59);
+    expect(await storage.ttl('hits')).toBeLessThanOrEqual(60);
+    await storage.increment('hits', 1, { ttl: 600 });
+    expect(await storage.ttl('hits')).toBeGreaterThan(599);
+  });
+
+  test('should increment numbers', async () => {
+    expect(await storage.increment('count')).toBe(1);
+    expect(await storage.increment('count', 5)).toBe(6);
+    expect(await storage.increment('count', -2.5)).toBe(3.5);
+
+    await storage.set('name', 'ann');
+    await expect(storage.increment('name')).rejects.toMatchObject({ code: 'INVALID_TYPE' });
+    await expect(storage.increment('count', '1')).rejects.toThrow(StorageError);
+    expect(await storage.get('name')).toBe('ann');
+  });
+
+  test('should append items to arrays', async () => {
+    expect(await storage.append('log', ['a'])).toEqual(['a']);
+    expect(await storage.append('log', ['b', ['c']], { ttl: 60 })).toEqual(['a', 'b', ['c']]);
+    expect(await storage.ttl('log')).toBeGreaterThan(59);
+
+    await storage.set('name', 'ann');
+    await expect(storage.append('name', ['x'])).rejects.toMatchObject({ code: 'INVALID_TYPE' });
+    await expect(storage.append('log', 'x')).rejects.toMatchObject({ code: 'INVALID_TYPE' });
+  });
+
+  test('should merge with JSON Merge Patch semantics', async () => {
+    await storage.set('user', { name: 'Ann', address: { city: 'Udupi', zip: '576101' }, tags: ['a', 'b'], nick: 'an' });
+
+    const merged = await storage.merge('user', { address: { zip: null, street: 'Main' }, tags: ['c'], nick: null, age: 30 });
+    expect(merged).toEqual({ name: 'Ann', address: { city: 'Udupi', street: 'Main' }, tags: ['c'], age: 30 });
+    expect(await storage.get('user')).toEqual(merged);
+    expect(await storage.merge('fresh', { a: { b: null, c: 1 } })).toEqual({ a: { c: 1 } });
+    expect(await storage.merge('user', 'replaced')).toBe('replaced');
+  });
+
+  test('should toggle booleans', async () => {
+    expect(await storage.toggle('dark')).toBe(true);
+    expect(await storage.toggle('dark')).toBe(false);
+
+    await storage.set('count', 1);
+    await expect(storage.toggle('count')).rejects.toMatchObject({ code: 'INVALID_TYPE' });
+  });
+
+  test('should release the key when the update function throws', async () => {
+    await expect(storage.update('key', () => { throw new Error('invalid'); })).rejects.toThrow('invalid');
+
+    expect(await storage.increment('key')).toBe(1);
+  });
+});
@@ -0,0 +1,157 @@
+/**
+ * Tests for record versions and compare-and-set
+ * Created by Ramkrishna Bhatt V, Milagres PU College, Kallianpur, Udupi
+ * License: MIT
+ */
+
+const { ConflictError, StorageError } = require('../src/main');
+const MemoryStorage = require('../src/core/memory');
+const { createStorage } = require('./fakes/storage');
+
+describe('Record versions', () => {
+  let layer;
+
+  beforeEach(() => {
+    layer = new MemoryStorage('app');
+  });
+
+  test('should increase the version on every write', async () => {
+    const storage = createStorage({ layers: [layer] });
+    expect(await storage.getVersion('key')).toBeNull();
+
+    await storage.set('key', 'a');
+    expect(await storage.getVersion('key')).toBe(1);
+    await storage.set('key', 'b', { ttl: 60 });
+    expect(await storage.getVersion('key')).toBe(2);
+    await storage.setMany([['key', 'c'], ['other', 'd']]);
+    expect(await storage.getVersion('key')).toBe(3);
+    expect(await storage.getVersion('other')).toBe(1);
+  });
+
+  test('should increase versions in bounded namespaces', async () => {
+    const storage = createStorage({ layers: [layer], maxEntries: 10 });
+    await storage.set('key', 'a');
+    await storage.set('key', 'b');
+
+    expect(await storage.getVersion('key')).toBe(2);
+  });
+
+  test('should keep the version when only the expiry or access stats change', async () => {
+    const storage = createStorage({ layers: [layer], maxEntries: 10 });
+    await storage.set('key', 'a', { ttl: 60, sliding: true });
+    await storage.get('key');
+    await storage.touch('key');
+    await storage.persist('key');
+
+    expect(await storage.getVersion('key')).toBe(1);
+  });
+
+  test('should give concurrent writers distinct versions', async () => {
+    const storage = createStorage({ layers: [layer] });
+    await Promise.all([1, 2, 3, 4].map(n => storage.set('ttl', n, { ttl: 60 })));
+    await Promise.all([
+      storage.setMany([['batch', 'a']]),
+      storage.setMany([['batch', 'b']])
+    ]);
+
+    expect(await storage.getVersion('ttl')).toBe(4);
+    expect(await storage.getVersion('batch')).toBe(2);
+  });
+
+  test('should start again at 1 after a key was removed', async () => {
+    const storage = createStorage({ layers: [layer] });
+    await storage.set('key', 'a');
+    await storage.set('key', 'b');
+    await storage.remove('key');
+    await storage.set('key', 'c');
+
+    expect(await storage.getVersion('key')).toBe(1);
+  });
+
+  test('should read entries from the layer with getEntry()', async () => {
+    const storage = createStorage({ layers: [layer] });
+    await storage.set('key', 'old');
+    await createStorage({ layers: [layer] }).set('key', 'new');
+
+    expect(await storage.get('key')).toBe('old');
+    expect(await storage.getEntry('key')).toEqual(expect.objectContaining({ value: 'new', version: 2 }));
+    expect(await storage.get('key')).toBe('new');
+    expect(await storage.getEntry('missing')).toBeNull();
+  });
+});
+
+describe('setIf()', () => {
+  let layer;
+  let storage;
+
+  beforeEach(async () => {
+    layer = new MemoryStorage('app');
+    storage = createStorage({ layers: [layer] });
+    await storage.set('doc', 'v1');
+  });
+
+  test('should write when the version matches and resolve with the new one', async () => {
+    expect(await storage.setIf('doc', 'v2', { ifVersion: 1 })).toBe(2);
+    expect(await storage.get('doc')).toBe('v2');
+  });
+
+  test('should reject with ConflictError when the version moved on', async () => {
+    await storage.set('doc', 'other');
+
+    const error = await storage.setIf('doc', 'v2', { ifVersion: 1 }).catch(e => e);
+    expect(error).toBeInstanceOf(ConflictError);
+    expect(error).toBeInstanceOf(StorageError);
+    expect(error).toMatchObject({ code: 'CONFLICT', key: 'doc', expectedVersion: 1, actualVersion: 2 });
+    expect(await storage.get('doc')).toBe('other');
+  });
+
+  test('should only create missing keys with ifVersion null', async () => {
+    expect(await storage.setIf('new', 'value', { ifVersion: null })).toBe(1);
+
+    const error = await storage.setIf('doc', 'value', { ifVersion: null }).catch(e => e);
+    expect(error).toBeInstanceOf(ConflictError);
+    expect(error.actualVersion).toBe(1);
+  });
+
+  test('should detect lost updates between tabs', async () => {
+    const other = createStorage({ layers: [layer] });
+    const mine = await storage.getEntry('doc');
+    const theirs = await other.getEntry('doc');
+
+    await other.setIf('doc', `${theirs.value}+theirs`, { ifVersion: theirs.version });
+    await expect(storage.setIf('doc', `${mine.value}+mine`, { ifVersion: mine.version }))
+      .rejects.toThrow(ConflictError);
+    expect((await storage.getEntry('doc')).value).toBe('v1+theirs');
+  });
+
+  test('should let only one of concurrent writers with the same version win', async () => {
+    const results = await Promise.allSettled([1, 2, 3].map(n => storage.setIf('doc', n, { ifVersion: 1 })));
+
+    expect(results.filter(result => result.status === 'fulfilled')).toHaveLength(1);
+    expect(results.filter(result => result.reason instanceof ConflictError)).toHaveLength(2);
+    expect(await storage.getVersion('doc')).toBe(2);
+  });
+
+  test('should reject a stale version after concurrent writes with a TTL', async () => {
+    await Promise.all([storage.set('doc', 'a', { ttl: 60 }), storage.set('doc', 'b', { ttl: 60 })]);
+
+    await expect(storage.setIf('doc', 'v2', { ifVersion: 2 })).rejects.toThrow(ConflictError);
+    expect(await storage.setIf('doc', 'v2', { ifVersion: 3 })).toBe(4);
+  });
+
+  test('should pass other options to set()', async () => {
+    await storage.setIf('doc', 'v2', { ifVersion: 1, ttl: 60 });
+
+    expect(await storage.ttl('doc')).toBeGreaterThan(59);
+  });
+
+  test('should reject a missing or invalid ifVersion', async () => {
+    await expect(storage.setIf('doc', 'v2')).rejects.toMatchObject({ code: 'INVALID_VERSION' });
+    await expect(storage.setIf('doc', 'v2', { ifVersion: '1' })).rejects.toMatchObject({ code: 'INVALID_VERSION' });
+  });
+
+  test('should take the expected version first in compareAndSet()', async () => {
+    expect(await storage.compareAndSet('doc', 1, 'v2')).toBe(2);
+    await expect(storage.compareAndSet('doc', 1, 'v3')).rejects.toThrow(ConflictError);
+  });
+});
@@ -0,0 +1,147 @@
+/**
+ * Tests for the write-ahead log storage layer
+ * Created by Ramkrishna Bhatt V, Milagres PU College, Kallianpur, Udupi
+ * License: MIT
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const WriteAheadLogStorage = require('../src/core/wal');
+const { LocalStorageAPI } = require('../src/main');
+
+describe('WriteAheadLogStorage', () => {
+  let directory;
+  let logPath;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'lsa-wal-'));
+    logPath = path.join(directory, 'lsa_app.log');
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('should journal every operation and replay it', async () => {
+    const layer = new WriteAheadLogStorage('app', { directory });
+    await layer.set('key1', 'value1');
+    await layer.set('key2', 'value2');
+    await layer.remove('key1');
+
+    const ops = fs.readFileSync(logPath, 'utf8').trim().split('\n').map(line => JSON.parse(line).op);
+    expect(ops).toEqual(['set', 'set', 'remove']);
+
+    const replayed = new WriteAheadLogStorage('app', { directory });
+    expect(await replayed.exportAll()).toEqual({ key2: 'value2' });
+  });
+
+  test('should keep namespaces with separators inside the directory', async () => {
+    await new WriteAheadLogStorage('../escape', { directory }).set('key1', 1);
+
+    expect(fs.readdirSync(directory)).toEqual(['lsa_..%2Fescape.log']);
+    expect(await new WriteAheadLogStorage('../escape', { directory }).get('key1')).toBe(1);
+  });
+
+  test('should not lose writes of other instances for the same log', async () => {
+    const a = new WriteAheadLogStorage('app', { directory, autoCompact: false });
+    const b = new WriteAheadLogStorage('app', { directory, autoCompact: false });
+    await a.set('key', 'a');
+    await b.set('key', 'b');
+    await a.set('fromA', 'a');
+    await b.compact();
+
+    expect(await new WriteAheadLogStorage('app', { directory }).exportAll()).toEqual({ key: 'b', fromA: 'a' });
+    expect((await b.getRecord('key')).version).toBe(2);
+  });
+
+  test('should recover from a truncated last write', async () => {
+    const layer = new WriteAheadLogStorage('app', { directory });
+    await layer.set('key1', 'value1');
+    fs.appendFileSync(logPath, '{"op":"set","key":"key2","rec');
+
+    const recovered = new WriteAheadLogStorage('app', { directory });
+    expect(await recovered.keys()).toEqual(['key1']);
+    await recovered.set('key3', 'value3');
+
+    const reopened = new WriteAheadLogStorage('app', { directory });
+    expect(await reopened.exportAll()).toEqual({ key1: 'value1', key3: 'value3' });
+  });
+
+  test('should skip corrupted entries in the middle of the log and keep later ones', async () => {
+    const layer = new WriteAheadLogStorage('app', { directory, autoCompact: false });
+    for (let i = 0; i < 5; i++) {
+      await layer.set(`k${i}`, i);
+    }
+    const lines = fs.readFileSync(logPath, 'utf8').split('\n');
+    lines[1] = lines[1].slice(0, 20);
+    fs.writeFileSync(logPath, lines.join('\n'));
+
+    const recovered = new WriteAheadLogStorage('app', { directory });
+    expect(await recovered.exportAll()).toEqual({ k0: 0, k2: 2, k3: 3, k4: 4 });
+    expect(fs.readFileSync(`${logPath}.corrupt`, 'utf8')).toBe(`${lines[1]}\n`);
+
+    const reopened = new WriteAheadLogStorage('app', { directory });
+    expect(await reopened.exportAll()).toEqual({ k0: 0, k2: 2, k3: 3, k4: 4 });
+  });
+
+  test('should compact the log into a snapshot', async () => {
+    const layer = new WriteAheadLogStorage('app', { directory, autoCompact: false });
+    for (let i = 0; i < 5; i++) {
+      await layer.set('counter', i);
+    }
+    await layer.set('other', 'x');
+    await layer.clear();
+    await layer.set('counter', 42);
+
+    await layer.compact();
+    const lines = fs.readFileSync(logPath, 'utf8').trim().split('\n');
+    expect(lines).toHaveLength(1);
+    expect(await new WriteAheadLogStorage('app', { directory }).get('counter')).toBe(42);
+  });
+
+  test('should compact automatically past the threshold', async () => {
+    const layer = new WriteAheadLogStorage('app', { directory, compactThreshold: 3 });
+    for (let i = 0; i < 4; i++) {
+      await layer.set('counter', i);
+    }
+    await layer.writeQueue;
+
+    expect(fs.readFileSync(logPath, 'utf8').trim().split('\n')).toHaveLength(1);
+    expect(layer.entries).toBe(1);
+  });
+
+  test('should not compact on every write once live keys pass the threshold', async () => {
+    const layer = new WriteAheadLogStorage('app', { directory, compactThreshold: 3 });
+    for (let i = 0; i < 5; i++) {
+      await layer.set(`key${i}`, i);
+    }
+    await layer.set('key0', 'updated');
+    await layer.writeQueue;
+
+    expect(fs.readFileSync(logPath, 'utf8').trim().split('\n')).toHaveLength(6);
+    expect(layer.entries).toBe(6);
+  });
+
+  test('should leave the data unchanged when a write fails', async () => {
+    const layer = new WriteAheadLogStorage('app', { directory });
+    await layer.set('key1', 'old');
+    jest.spyOn(fs.promises, 'open').mockRejectedValue(new Error('disk full'));
+
+    await expect(layer.set('key1', 'new')).rejects.toThrow('disk full');
+    await expect(layer.remove('key1')).rejects.toThrow('disk full');
+    await expect(layer.commit([{ key: 'key2', record: { value: 2, version: 1, ttl: null } }])).rejects.toThrow('disk full');
+    expect(await layer.exportAll()).toEqual({ key1: 'old' });
+  });
+
+  test('should be used by LocalStorageAPI with the journal option', async () => {
+    const storage = new LocalStorageAPI({ namespace: 'app', directory, journal: true });
+    expect(storage.supports().current).toBe('WriteAheadLogStorage');
+
+    await storage.set('user', { name: 'Alice' });
+    await storage.compact();
+    const reopened = new LocalStorageAPI({ namespace: 'app', directory, journal: true });
+    expect(await reopened.get('user')).toEqual({ name: 'Alice' });
+  });
+});
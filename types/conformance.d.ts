@@ -0,0 +1,22 @@
+/**
+ * TypeScript Definitions for the Storage Layer Conformance Suite
+ * Created by Ramkrishna Bhatt V, Milagres PU College, Kallianpur, Udupi
+ * License: MIT
+ */
+
+import { StorageLayer } from './index';
+
+export interface ConformanceOptions {
+  namespace?: string;
+  describe?: (name: string, fn: () => void) => void;
+  test?: (name: string, fn: () => Promise<void>) => void;
+  teardown?: () => Promise<void> | void;
+}
+
+export declare function defineLayerConformanceTests(
+  name: string,
+  createLayer: (namespace: string) => StorageLayer | Promise<StorageLayer>,
+  options?: ConformanceOptions
+): void;
+
+export declare class ConformanceError extends Error {}
@@ -6,14 +6,198 @@
 
 export interface StorageOptions {
   namespace?: string;
-  profile?: 'ultra-fast' | 'max-compression' | 'low-memory' | 'safe-mode';
+  profile?: 'ultra-fast' | 'max-compression' | 'low-memory' | 'safe-mode' | ProfileOptions;
   version?: number;
   debug?: boolean;
   safeMode?: boolean;
   hooks?: StorageHooks;
-  encryption?: EncryptionHooks;
+  encryption?: EncryptionHooks | EncryptionOptions;
   sync?: SyncOptions;
   cacheTTL?: number;
+  cacheMaxEntries?: number;
+  cacheMaxBytes?: number;
+  staleWhileRevalidate?: number;
+  directory?: string;
+  journal?: boolean | JournalOptions;
+  opfs?: boolean | OPFSOptions;
+  session?: boolean;
+  cookie?: boolean | CookieOptions;
+  remote?: RemoteOptions;
+  tiers?: Array<string | TierOptions>;
+  writePolicy?: 'write-through' | 'write-back';
+  flushInterval?: number;
+  sweepInterval?: number;
+  sweepBatchSize?: number;
+  maxEntries?: number;
+  maxBytes?: number;
+  eviction?: 'lru' | 'lfu' | 'ttl' | string | EvictionPolicy;
+  onQuotaExceeded?: 'evict' | 'fallback' | 'reject';
+  locks?: LeaseOptions;
+  failover?: boolean;
+  layers?: Array<string | LayerSpec | StorageLayer>;
+  [layerOptions: string]: any;
+}
+
+export interface LayerSpec {
+  layer: string;
+  [option: string]: any;
+}
+
+export type LayerFactory = (namespace: string, options: Record<string, any>, storage: LocalStorageAPI) => StorageLayer;
+
+export interface ProfileOptions {
+  serialization?: string;
+  compression?: string;
+  adaptive?: boolean;
+  adaptiveEngines?: string[];
+  compressionThreshold?: number;
+  maxRetries?: number;
+}
+
+export interface Serializer {
+  serialize(value: any): any | Promise<any>;
+  deserialize(data: any): any | Promise<any>;
+}
+
+export interface Compressor {
+  binary?: boolean;
+  available?(): boolean;
+  compress(data: any): any | Promise<any>;
+  decompress(data: any): any | Promise<any>;
+}
+
+export interface TypeDefinition<T = any> {
+  is(value: any): boolean;
+  encode(value: T): any;
+  decode(data: any): T;
+}
+
+export interface RegisterLayerOptions {
+  priority?: number;
+  enabled?: (options: StorageOptions) => boolean;
+}
+
+export interface TierOptions {
+  layer: string | StorageLayer;
+  ttl?: number;
+  maxEntries?: number;
+  [option: string]: any;
+}
+
+export interface StorageLayer {
+  set(key: string, value: any, ttl?: number | null): Promise<void>;
+  get(key: string): Promise<any>;
+  remove(key: string): Promise<void>;
+  clear(): Promise<void>;
+  keys(): Promise<string[]>;
+  has(key: string): Promise<boolean>;
+  size(): Promise<number>;
+  exportAll(): Promise<Record<string, any>>;
+  importAll(data: Record<string, any>): Promise<void>;
+  supports(): boolean;
+  getRecord?(key: string): Promise<StoredRecord | null>;
+  putRecord?(key: string, record: StoredRecord): Promise<void>;
+  purgeExpired?(limit?: number): Promise<string[]>;
+  commit?(operations: CommitOperation[]): Promise<void>;
+}
+
+export interface LeaseOptions {
+  lease?: number;
+  pollInterval?: number;
+  settle?: number;
+}
+
+export interface LockOptions {
+  mode?: 'exclusive' | 'shared';
+  timeout?: number;
+}
+
+export interface SetIfOptions extends SetOptions {
+  ifVersion: number | null;
+}
+
+export interface StorageEntry {
+  value: any;
+  version: number;
+  createdAt: number;
+  updatedAt: number;
+}
+
+export interface CommitOperation {
+  key: string;
+  record: StoredRecord | null;
+}
+
+export interface Transaction {
+  get(key: string): Promise<any>;
+  has(key: string): Promise<boolean>;
+  set(key: string, value: any, options?: SetOptions): Promise<void>;
+  remove(key: string): Promise<void>;
+  delete(key: string): Promise<void>;
+}
+
+export interface EvictionEntry {
+  key: string;
+  size: number;
+  createdAt: number;
+  updatedAt: number;
+  accessedAt: number;
+  hits: number;
+  ttl: number | null;
+}
+
+export type EvictionPolicy = (a: EvictionEntry, b: EvictionEntry) => number;
+
+export interface StoredRecord {
+  value: any;
+  createdAt: number;
+  updatedAt: number;
+  version: number;
+  ttl: number | null;
+  lifetime?: number | null;
+  sliding?: boolean;
+  accessedAt?: number;
+  hits?: number;
+}
+
+export interface SetOptions {
+  ttl?: number;
+  expireAt?: Date | number;
+  sliding?: boolean;
+  serialization?: string;
+  compression?: string;
+  force?: boolean;
+}
+
+export interface RemoteOptions {
+  endpoint: string;
+  headers?: Record<string, string> | (() => Record<string, string> | Promise<Record<string, string>>);
+  fetch?: typeof fetch;
+  timeout?: number;
+  maxRetries?: number;
+  retryDelay?: number;
+  batchWindow?: number;
+  batchSize?: number;
+}
+
+export interface CookieOptions {
+  path?: string;
+  domain?: string;
+  sameSite?: 'Strict' | 'Lax' | 'None';
+  secure?: boolean;
+  chunkSize?: number;
+  maxAge?: number | null;
+}
+
+export interface OPFSOptions {
+  root?: FileSystemDirectoryHandle;
+  useSyncHandles?: boolean;
+}
+
+export interface JournalOptions {
+  compactThreshold?: number;
+  autoCompact?: boolean;
+  fsync?: boolean;
 }
 
 export interface StorageHooks {
@@ -30,6 +214,47 @@ export interface EncryptionHooks {
   postReadDecrypt?: (data: string) => Promise<string> | string;
 }
 
+export interface EncryptionOptions {
+  passphrase?: string;
+  key?: CryptoKey | ArrayBuffer | ArrayBufferView;
+  iterations?: number;
+  salt?: ArrayBuffer | ArrayBufferView;
+  keyId?: string;
+  previousKeys?: EncryptionKey[];
+}
+
+export type EncryptionKey = string | EncryptionOptions | CryptoKey | ArrayBuffer | ArrayBufferView;
+
+export interface RotationProgress {
+  total: number;
+  done: number;
+  rotated: number;
+  skipped: number;
+  failed: string[];
+  key?: string;
+  action: 'rotationstart' | 'rotationprogress' | 'rotationcomplete';
+}
+
+export interface VerifyIssue {
+  key: string;
+  reason: string;
+}
+
+export interface VerifyReport {
+  checked: number;
+  valid: number;
+  corrupted: VerifyIssue[];
+  undecodable: VerifyIssue[];
+  expired: string[];
+  quarantined: string[];
+}
+
+export interface QuarantinedRecord {
+  reason: string;
+  data: any;
+  quarantinedAt: number;
+}
+
 export interface SyncOptions {
   channel?: BroadcastChannel;
   tabId?: string;
@@ -41,13 +266,48 @@ export interface StorageEvent {
   action: 'set' | 'delete' | 'clear' | 'import';
 }
 
+export interface LayerChangeEvent {
+  from: string;
+  to: string;
+  error?: Error;
+  migrated: number;
+  action: 'layerchange';
+}
+
 export interface SupportsResult {
   indexedDB: boolean;
+  opfs: boolean;
   localStorage: boolean;
+  sessionStorage: boolean;
+  cookie: boolean;
+  remote: boolean;
   memory: boolean;
+  fileSystem: boolean;
+  journal: boolean;
   current: string;
 }
 
+export interface UsageEstimate {
+  namespace: string;
+  layer: string;
+  entries: number;
+  bytes: number;
+  maxEntries: number;
+  maxBytes: number;
+  usage: number | null;
+  quota: number | null;
+  available: number | null;
+}
+
+export interface CacheMetrics {
+  hits: number;
+  misses: number;
+  staleHits: number;
+  hitRate: number;
+  entries: number;
+  bytes: number;
+}
+
 export interface Metrics {
   reads: number;
   writes: number;
@@ -55,8 +315,18 @@ export interface Metrics {
   readLatency: number[];
   writeLatency: number[];
   errors: Error[];
+  evictions: number;
+  compression: CompressionMetrics;
   avgReadLatency: number;
   avgWriteLatency: number;
+  compressionRatio: number;
+  cache: CacheMetrics;
+}
+
+export interface CompressionMetrics {
+  originalBytes: number;
+  compressedBytes: number;
+  engines: Record<string, number>;
 }
 
 export interface Snapshot {
@@ -81,8 +351,14 @@ export interface BenchmarkResult {
 export declare class LocalStorageAPI {
   constructor(options?: StorageOptions);
 
+  static registerLayer(name: string, factory: LayerFactory, options?: RegisterLayerOptions): void;
+  static registerSerializer(name: string, serializer: Serializer): void;
+  static registerCompressor(name: string, compressor: Compressor): void;
+  static registerType<T>(name: string, definition: (new (...args: any[]) => T) | TypeDefinition<T>): void;
+  static registerEvictionPolicy(name: string, compare: EvictionPolicy): void;
+
   // Core API
-  save(key: string, value: any, options?: any): Promise<void>;
+  save(key: string, value: any, options?: SetOptions): Promise<void>;
   load(key: string): Promise<any>;
   delete(key: string): Promise<void>;
   reset(): Promise<void>;
@@ -98,15 +374,43 @@ export declare class LocalStorageAPI {
   supports(): SupportsResult;
 
   // Advanced API
-  set(key: string, value: any, options?: any): Promise<void>;
+  set(key: string, value: any, options?: SetOptions): Promise<void>;
   get(key: string): Promise<any>;
   remove(key: string): Promise<void>;
   clear(): Promise<void>;
   has(key: string): Promise<boolean>;
   size(): Promise<number>;
   keys(): Promise<string[]>;
+  touch(key: string, ttl?: number): Promise<boolean>;
+  ttl(key: string): Promise<number | null>;
+  persist(key: string): Promise<boolean>;
+  getVersion(key: string): Promise<number | null>;
+  getEntry(key: string): Promise<StorageEntry | null>;
+  setIf(key: string, value: any, options: SetIfOptions): Promise<number>;
+  compareAndSet(key: string, expectedVersion: number | null, value: any, options?: SetOptions): Promise<number>;
+  update<T = any>(key: string, fn: (current: T | null) => T | Promise<T>, options?: SetOptions): Promise<T | null>;
+  increment(key: string, by?: number, options?: SetOptions): Promise<number | null>;
+  append<T = any>(key: string, items: T[], options?: SetOptions): Promise<T[] | null>;
+  merge(key: string, patch: any, options?: SetOptions): Promise<any>;
+  toggle(key: string, options?: SetOptions): Promise<boolean | null>;
   exportAll(): Promise<Record<string, any>>;
   importAll(data: Record<string, any>): Promise<void>;
+  setMany(items: [string, any][], options?: SetOptions): Promise<void>;
+  getMany(keys: string[]): Promise<Record<string, any>>;
+  transaction<T>(fn: (tx: Transaction) => Promise<T> | T): Promise<T>;
+  withLock<T>(name: string, fn: () => Promise<T> | T, options?: LockOptions): Promise<T>;
+  compact(): Promise<void>;
+  flush(): Promise<void>;
+  migrateLayer(from: string | StorageLayer, to: string | StorageLayer, options?: { keepSource?: boolean }): Promise<number>;
+  rotateKey(oldKey: EncryptionKey, newKey: EncryptionKey): Promise<Omit<RotationProgress, 'key' | 'action'>>;
+  verify(options?: { repair?: boolean }): Promise<VerifyReport>;
+  getQuarantine(): Promise<Record<string, QuarantinedRecord>>;
+  clearQuarantine(): Promise<void>;
+  purgeExpired(options?: { batchSize?: number }): Promise<string[]>;
+  startSweeper(interval?: number): void;
+  stopSweeper(): void;
+  estimateUsage(): Promise<UsageEstimate>;
+  invalidate(keyOrPrefix?: string): number;
 
   // Query API
   query(options?: QueryOptions): {
@@ -147,6 +451,12 @@ export declare class LocalStorageAPI {
   on(event: 'clear', listener: (event: StorageEvent) => void): this;
   on(event: 'import', listener: (event: StorageEvent) => void): this;
   on(event: 'error', listener: (event: StorageEvent) => void): this;
+  on(event: 'layerchange', listener: (event: LayerChangeEvent) => void): this;
+  on(event: 'rotationstart' | 'rotationprogress' | 'rotationcomplete', listener: (event: RotationProgress) => void): this;
+  on(event: 'quarantine', listener: (event: { key: string; reason: string; action: 'quarantine' }) => void): this;
+  on(event: 'evict', listener: (event: { key: string; size: number; action: 'evict' }) => void): this;
+  on(event: 'expire', listener: (event: { key: string; action: 'expire' }) => void): this;
+  on(event: 'verify', listener: (event: VerifyReport & { action: 'verify' }) => void): this;
 }
 
 export declare function useStore(namespace: string): LocalStorageAPI;
@@ -155,8 +465,25 @@ export declare class StorageError extends Error {
   code: string;
 }
 
-export declare class QuotaExceededError extends StorageError {}
+export declare class QuotaExceededError extends StorageError {
+  key: string | null;
+  size: number | null;
+  cause?: unknown;
+}
 export declare class MigrationError extends StorageError {}
 export declare class SerializationError extends StorageError {}
+export declare class DecryptionError extends SerializationError {}
+export declare class IntegrityError extends StorageError {
+  key: string | null;
+}
+export declare class LockTimeoutError extends StorageError {
+  lock: string;
+  timeout: number;
+}
+export declare class ConflictError extends StorageError {
+  key: string;
+  expectedVersion: number | null;
+  actualVersion: number | null;
+}
 
 export default LocalStorageAPI;
\ No newline at end of file